@@ -1,16 +1,19 @@
 // /server/config/db.js
+// Connection settings come from the environment (see .env.example and config/settings.js).
 const { Pool } = require('pg');
+const settings = require('./settings');
 
+const { connectionString, host, port, database, user, password, ssl, poolSize } = settings.database;
 
 const pool = new Pool({
-    user: 'administrationSTS',
-    host: 'avo-adb-002.postgres.database.azure.com',
-    database: 'RFQ_DATA',
-    password: 'St$@0987',
-    port: 5432,
-    ssl: {
-        rejectUnauthorized: false
-    }
+    ...(connectionString ? { connectionString } : { host, port, database, user, password }),
+    ssl: ssl ? { rejectUnauthorized: false } : false,
+    max: poolSize
+});
+
+// An idle client losing its connection must not crash the process
+pool.on('error', (error) => {
+    console.error('PostgreSQL pool error:', error);
 });
 
 module.exports = pool;
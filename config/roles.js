@@ -0,0 +1,84 @@
+// /server/config/roles.js
+
+// Roles from least to most privileged. The users table still defaults new
+// accounts to 'user', which is treated as a read-only 'viewer'.
+const ROLES = ['viewer', 'editor', 'admin'];
+
+const ROLE_ALIASES = {
+    user: 'viewer'
+};
+
+// Which roles may perform which action on which table.
+// Anything not listed here is forbidden.
+const PERMISSIONS = {
+    product_lines: {
+        read: ['viewer', 'editor', 'admin'],
+        create: ['editor', 'admin'],
+        update: ['editor', 'admin'],
+        delete: ['admin'],
+        restore: ['editor', 'admin'],
+        purge: ['admin'],
+        // Approve or reject drafts (see utils/workflow.js)
+        review: ['admin']
+    },
+    products: {
+        read: ['viewer', 'editor', 'admin'],
+        create: ['editor', 'admin'],
+        update: ['editor', 'admin'],
+        delete: ['admin'],
+        restore: ['editor', 'admin'],
+        purge: ['admin'],
+        // Approve or reject drafts (see utils/workflow.js)
+        review: ['admin']
+    },
+    audit_logs: {
+        read: ['editor', 'admin']
+    },
+    // Cross-table trash maintenance
+    trash: {
+        purge: ['admin']
+    },
+    // User administration: accounts, roles and invitations
+    users: {
+        read: ['admin'],
+        update: ['admin'],
+        invite: ['admin']
+    },
+    // Other users' login sessions
+    sessions: {
+        read: ['admin'],
+        revoke: ['admin']
+    },
+    // Webhook subscriptions, deliveries and event replay
+    webhooks: {
+        read: ['admin'],
+        manage: ['admin']
+    }
+};
+
+/**
+ * Maps the role stored in the JWT / users table to one of ROLES.
+ * Tokens issued before roles were enforced carry no role and fall back to 'viewer'.
+ * @param {string} role - The raw user_role value.
+ * @returns {string|null} The normalised role, or null if it is unknown.
+ */
+const resolveRole = (role) => {
+    if (!role) return 'viewer';
+    const normalised = ROLE_ALIASES[role] || role;
+    return ROLES.includes(normalised) ? normalised : null;
+};
+
+/**
+ * Checks whether a role may perform an action on a table.
+ * @param {string} role - The raw user_role value.
+ * @param {string} action - e.g. 'read', 'create', 'update', 'delete', 'restore', 'purge' or 'review'.
+ * @param {string} tableName - The table the action targets.
+ * @returns {boolean}
+ */
+const can = (role, action, tableName) => {
+    const resolved = resolveRole(role);
+    const allowed = PERMISSIONS[tableName] && PERMISSIONS[tableName][action];
+    return Boolean(resolved && allowed && allowed.includes(resolved));
+};
+
+module.exports = { ROLES, PERMISSIONS, resolveRole, can };
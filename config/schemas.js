@@ -0,0 +1,72 @@
+// /server/config/schemas.js
+// Per-table payload schemas. They drive validation on create and update (utils/validate.js)
+// and define the writable columns of each table (config/tables.js).
+//
+// Field options:
+//   type      'string' | 'number' | 'integer' | 'boolean' | 'date' | 'files'
+//   required  must be present and non-empty on create (and cannot be emptied on update)
+//   maxLength maximum string length
+//   min/max   numeric range (inclusive)
+//   enum      list of allowed values
+// 'files' columns hold the JSON array of upload paths and are only written by the server.
+
+const { ROLES } = require('./roles');
+
+const SHORT_TEXT = 255;
+const LONG_TEXT = 20000;
+
+// Same values as the CHECK constraint on products.level_of_interest (migration 008)
+const LEVELS_OF_INTEREST = ['low', 'medium', 'high'];
+
+const text = (options = {}) => ({ type: 'string', maxLength: LONG_TEXT, ...options });
+const shortText = (options = {}) => ({ type: 'string', maxLength: SHORT_TEXT, ...options });
+
+const schemas = {
+    products: {
+        product_name: shortText({ required: true }),
+        product_line: shortText({ required: true }),
+        description: text(),
+        product_definition: text(),
+        operating_environment: text(),
+        technical_parameters: text(),
+        machines_and_tooling: text(),
+        manufacturing_strategy: text(),
+        purchasing_strategy: text(),
+        prototypes_ppap_and_sop: text(),
+        engineering_and_testing: text(),
+        capacity: text(),
+        our_advantages: text(),
+        gmdc_pct: { type: 'number', min: 0, max: 100 },
+        product_line_id: { type: 'integer', min: 1 },
+        customers_in_production: text(),
+        customer_in_development: text(),
+        level_of_interest: { type: 'string', enum: LEVELS_OF_INTEREST },
+        level_of_interest_and_why: text(),
+        estimated_price_per_product: { type: 'number', min: 0, max: 1000000000 },
+        prod_if_customer_in_china: text(),
+        costing_data: text(),
+        product_pictures: { type: 'files' }
+    },
+    product_lines: {
+        name: shortText({ required: true }),
+        type_of_products: text(),
+        manufacturing_locations: text(),
+        design_center: shortText(),
+        product_line_manager: shortText(),
+        history: text(),
+        type_of_customers: text(),
+        metiers: text(),
+        strength: text(),
+        weakness: text(),
+        perspectives: text(),
+        compliance_resource_id: shortText(),
+        attachments_raw: { type: 'files' }
+    },
+    // Fields admins can edit through the user administration API (email and password are not)
+    users: {
+        display_name: shortText({ required: true }),
+        user_role: { type: 'string', required: true, enum: ROLES }
+    }
+};
+
+module.exports = schemas;
@@ -0,0 +1,150 @@
+// /server/config/settings.js
+// Runtime settings read from the environment (see .env), with safe defaults.
+
+const crypto = require('crypto');
+
+const toNumber = (value, fallback) => {
+    const number = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(number) ? number : fallback;
+};
+
+module.exports = {
+    database: {
+        // Either a full connection string...
+        connectionString: process.env.DATABASE_URL || '',
+        // ...or the individual settings (defaults suit a local PostgreSQL)
+        host: process.env.DB_HOST || 'localhost',
+        port: toNumber(process.env.DB_PORT, 5432),
+        database: process.env.DB_NAME || 'product_db',
+        user: process.env.DB_USER || 'postgres',
+        password: process.env.DB_PASSWORD || '',
+        // Azure Database for PostgreSQL requires SSL
+        ssl: process.env.DB_SSL === 'true',
+        poolSize: toNumber(process.env.DB_POOL_SIZE, 10)
+    },
+    // Express 'trust proxy' (number of proxy hops): client IPs come from X-Forwarded-For behind
+    // Azure App Service. Set TRUST_PROXY=0 when the API is exposed directly.
+    trustProxy: toNumber(process.env.TRUST_PROXY, 1),
+    auth: {
+        // Signs access tokens. Required unless NODE_ENV=development, which falls back to a random
+        // secret (tokens then stop working when the process restarts); checked in utils/sessions.js.
+        jwtSecret: process.env.JWT_SECRET
+            || (process.env.NODE_ENV === 'development' ? crypto.randomBytes(32).toString('hex') : ''),
+        // Lifetime of access tokens (jsonwebtoken format, e.g. '15m', '1h')
+        accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+        // Sessions (and their refresh tokens) expire after this many days without a refresh
+        refreshTokenTtlDays: toNumber(process.env.REFRESH_TOKEN_TTL_DAYS, 30),
+        minPasswordLength: toNumber(process.env.MIN_PASSWORD_LENGTH, 8),
+        // Page of the frontend that receives ?token=... from password reset emails
+        passwordResetUrl: process.env.PASSWORD_RESET_URL || 'https://product-db.azurewebsites.net/reset-password',
+        passwordResetTtlMinutes: toNumber(process.env.PASSWORD_RESET_TTL_MINUTES, 60),
+        lockout: {
+            // After this many failed logins in a row the account is locked for lockMinutes
+            maxFailedLogins: toNumber(process.env.LOCKOUT_MAX_FAILED_LOGINS, 5),
+            lockMinutes: toNumber(process.env.LOCKOUT_MINUTES, 15)
+        },
+        // Per-IP limit on login and password reset requests
+        rateLimit: {
+            windowMinutes: toNumber(process.env.AUTH_RATE_LIMIT_WINDOW_MINUTES, 15),
+            maxRequests: toNumber(process.env.AUTH_RATE_LIMIT_MAX, 30)
+        }
+    },
+    signup: {
+        // Comma-separated email domains allowed to self-register (empty = any domain)
+        allowedDomains: (process.env.SIGNUP_ALLOWED_DOMAINS || '')
+            .split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean),
+        // When true, only invited emails can sign up (see POST /api/users/invitations)
+        requireInvitation: process.env.SIGNUP_REQUIRE_INVITATION === 'true',
+        // Page of the frontend that receives ?invitation=... from invitation emails
+        invitationUrl: process.env.INVITATION_URL || 'https://product-db.azurewebsites.net/signup',
+        invitationTtlDays: toNumber(process.env.INVITATION_TTL_DAYS, 7)
+    },
+    mail: {
+        // 'log' (print to the console) or 'smtp'
+        transport: process.env.MAIL_TRANSPORT || 'log',
+        from: process.env.MAIL_FROM || 'Product DB <no-reply@product-db.local>',
+        smtp: {
+            // e.g. localhost:1025 for a local MailHog
+            host: process.env.SMTP_HOST || '',
+            port: toNumber(process.env.SMTP_PORT, 587),
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER || '',
+            pass: process.env.SMTP_PASS || ''
+        }
+    },
+    // Public URL of this API, used for absolute file links (defaults to the request host)
+    publicBaseUrl: process.env.PUBLIC_BASE_URL || '',
+    search: {
+        // PostgreSQL text search configuration (e.g. 'english', 'french', 'simple')
+        textConfig: process.env.SEARCH_TEXT_CONFIG || 'english'
+    },
+    storage: {
+        // 'local' (the app's uploads/ folder) or 's3' (any S3-compatible store, e.g. MinIO)
+        backend: process.env.STORAGE_BACKEND || 'local',
+        s3: {
+            bucket: process.env.S3_BUCKET || '',
+            region: process.env.S3_REGION || 'us-east-1',
+            // e.g. http://localhost:9000 for a local MinIO
+            endpoint: process.env.S3_ENDPOINT || '',
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+            accessKeyId: process.env.S3_ACCESS_KEY_ID || '',
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || '',
+            // Public base URL of the bucket; leave empty to serve files through the API
+            // (files behind a public URL skip authentication and signed links)
+            publicUrl: process.env.S3_PUBLIC_URL || ''
+        }
+    },
+    files: {
+        // HMAC secret for signed file links; set the same value on every instance
+        urlSecret: process.env.FILE_URL_SECRET || '',
+        // Lifetime of the signed links returned by the API
+        urlTtlMinutes: toNumber(process.env.FILE_URL_TTL_MINUTES, 15),
+        // Links written into CSV/XLSX exports are kept valid longer
+        exportUrlTtlHours: toNumber(process.env.FILE_URL_EXPORT_TTL_HOURS, 168)
+    },
+    concurrency: {
+        // When true, PUT requests without an If-Match header are rejected with 428
+        requireIfMatch: process.env.REQUIRE_IF_MATCH === 'true'
+    },
+    workflow: {
+        // When true, new products and product lines wait for review, and edits to published
+        // ones are kept as drafts until a reviewer approves them
+        enabled: process.env.REVIEW_WORKFLOW !== 'false',
+        // Whether reviewers may approve their own changes (e.g. a single-admin installation)
+        allowSelfApproval: process.env.REVIEW_ALLOW_SELF_APPROVAL === 'true'
+    },
+    webhooks: {
+        // Run the dispatcher on this instance (events are still written to the outbox when false)
+        enabled: process.env.WEBHOOKS_ENABLED !== 'false',
+        // How often the dispatcher looks for new events and due retries
+        pollIntervalSeconds: toNumber(process.env.WEBHOOK_POLL_INTERVAL_SECONDS, 5),
+        // Deliveries per run
+        batchSize: toNumber(process.env.WEBHOOK_BATCH_SIZE, 20),
+        timeoutSeconds: toNumber(process.env.WEBHOOK_TIMEOUT_SECONDS, 10),
+        // A delivery is dead-lettered after this many failed attempts
+        maxAttempts: toNumber(process.env.WEBHOOK_MAX_ATTEMPTS, 8),
+        // Retry delay doubles from the base up to the maximum (30s, 1m, 2m, ... 6h)
+        backoffBaseSeconds: toNumber(process.env.WEBHOOK_BACKOFF_BASE_SECONDS, 30),
+        backoffMaxSeconds: toNumber(process.env.WEBHOOK_BACKOFF_MAX_SECONDS, 6 * 60 * 60),
+        // Events whose deliveries are all finished are deleted after this many days
+        retentionDays: toNumber(process.env.WEBHOOK_RETENTION_DAYS, 30)
+    },
+    live: {
+        // Interval of the keep-alive comment on live feed streams, which also re-checks the session
+        heartbeatSeconds: toNumber(process.env.LIVE_HEARTBEAT_SECONDS, 25),
+        // Presence ("X is editing this product") is dropped unless the client repeats it within this time
+        presenceTtlSeconds: toNumber(process.env.LIVE_PRESENCE_TTL_SECONDS, 60),
+        // Most missed changes replayed to a reconnecting client; beyond that it is told to reload
+        replayLimit: toNumber(process.env.LIVE_REPLAY_LIMIT, 500)
+    },
+    stats: {
+        // Dashboard aggregates (/api/stats) are cached this long; 0 disables the cache
+        cacheTtlSeconds: toNumber(process.env.STATS_CACHE_TTL_SECONDS, 60)
+    },
+    trash: {
+        // Trashed records older than this are purged by the retention job (0 disables the job)
+        retentionDays: toNumber(process.env.TRASH_RETENTION_DAYS, 30),
+        // How often the retention job runs
+        purgeIntervalHours: toNumber(process.env.TRASH_PURGE_INTERVAL_HOURS, 24)
+    }
+};
@@ -0,0 +1,72 @@
+// /server/config/tables.js
+
+const schemas = require('./schemas');
+
+// Writable columns per table, derived from the payload schemas.
+const tableColumns = Object.keys(schemas).reduce((columns, tableName) => {
+    columns[tableName] = Object.keys(schemas[tableName]);
+    return columns;
+}, {});
+
+// Columns maintained by the server on catalogue tables
+const SYSTEM_COLUMNS = [
+    'id', 'created_at', 'created_by', 'updated_at', 'updated_by', 'deleted_at', 'deleted_by',
+    // Review workflow (utils/workflow.js)
+    'status', 'published_at', 'review_comment'
+];
+
+// Types of the system columns, for filter validation in utils/listQuery.js
+const SYSTEM_COLUMN_TYPES = {
+    id: 'integer',
+    created_at: 'date',
+    created_by: 'integer',
+    updated_at: 'date',
+    updated_by: 'integer',
+    deleted_at: 'date',
+    deleted_by: 'integer',
+    published_at: 'date'
+};
+
+// Schema types that listQuery checks ('string' and 'files' columns are compared as text)
+const columnTypes = (tableName) => Object.keys(schemas[tableName]).reduce((types, column) => {
+    const { type } = schemas[tableName][column];
+    if (['integer', 'number', 'date', 'boolean'].includes(type)) types[column] = type;
+    return types;
+}, { ...SYSTEM_COLUMN_TYPES });
+
+// Column used as the human-readable label of a record
+const titleColumns = {
+    products: 'product_name',
+    product_lines: 'name'
+};
+
+// Column holding the JSON array of uploaded file paths (the schema field of type 'files')
+const fileFields = Object.keys(schemas).reduce((fields, tableName) => {
+    const fileField = Object.keys(schemas[tableName]).find(name => schemas[tableName][name].type === 'files');
+    if (fileField) fields[tableName] = fileField;
+    return fields;
+}, {});
+
+// Whitelists and defaults for the list endpoints (select, sort and filter)
+const listOptions = {
+    products: {
+        columns: [...SYSTEM_COLUMNS, ...tableColumns.products],
+        types: columnTypes('products'),
+        defaultSort: '-created_at',
+        // Trashed records only show up through the trash endpoint
+        conditions: ['deleted_at IS NULL']
+    },
+    product_lines: {
+        columns: [...SYSTEM_COLUMNS, ...tableColumns.product_lines],
+        types: columnTypes('product_lines'),
+        defaultSort: '-created_at',
+        conditions: ['deleted_at IS NULL']
+    },
+    users: {
+        columns: ['id', 'email', 'display_name', 'user_role', 'is_active', 'deactivated_at', 'locked_until', 'created_at'],
+        types: { id: 'integer', is_active: 'boolean', deactivated_at: 'date', locked_until: 'date', created_at: 'date' },
+        defaultSort: '-created_at'
+    }
+};
+
+module.exports = { tableColumns, SYSTEM_COLUMNS, titleColumns, fileFields, listOptions };
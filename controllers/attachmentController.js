@@ -0,0 +1,339 @@
+// attachmentController.js
+
+const pool = require('../config/db');
+const mime = require('mime-types');
+const { logAction } = require('./dataController');
+const { deleteFile, fileUrl, parseFilePaths, streamFile, syncAttachments } = require('./fileController');
+const { diffRecords } = require('../utils/recordDiff');
+const { recordEvent } = require('../utils/outbox');
+const workflow = require('../utils/workflow');
+const { fileFields } = require('../config/tables');
+
+// The JSON path array on the record ('product_pictures' / 'attachments_raw') stays the source
+// of truth for which files a record has and in which order; these endpoints edit that array
+// and keep the attachments table (original names, sizes, checksums) in sync with it.
+// Readers only get the attachments of published records, and only reviewers may change those of
+// a published record (see utils/workflow.js).
+
+const ATTACHMENT_COLUMNS = 'id, field, storage_key, original_name, mime_type, size_bytes, checksum, position, uploaded_by, created_at';
+const MAX_NAME_LENGTH = 255;
+
+/**
+ * Loads a live record and makes sure every file it references has an attachments row
+ * (records created before the attachments table only have their JSON path array).
+ * @param {object} client - Transaction client.
+ * @param {string} tableName - 'products' or 'product_lines'.
+ * @param {string|number} id - The record id.
+ * @param {boolean} [forUpdate=false] - Lock the record for the rest of the transaction.
+ * @returns {Promise<object|null>} The record, or null if it does not exist or is in the trash.
+ */
+const loadRecord = async (client, tableName, id, forUpdate = false) => {
+    const fileField = fileFields[tableName];
+    const result = await client.query(
+        `SELECT * FROM ${tableName} WHERE id = $1 AND deleted_at IS NULL${forUpdate ? ' FOR UPDATE' : ''}`,
+        [id]
+    );
+    const record = result.rows[0];
+    if (!record) return null;
+
+    await syncAttachments(client, tableName, id, fileField, parseFilePaths(record[fileField]));
+    return record;
+};
+
+const listAttachments = async (client, tableName, id) => {
+    const result = await client.query(
+        `SELECT ${ATTACHMENT_COLUMNS} FROM attachments WHERE table_name = $1 AND record_id = $2 ORDER BY position, id`,
+        [tableName, id]
+    );
+    return result.rows;
+};
+
+const withUrl = (req, attachment) => ({ ...attachment, url: fileUrl(req, attachment.storage_key) });
+
+/**
+ * Writes a new file list on the record, syncs the attachments table and records an
+ * UPDATE audit entry with the attachments diff, all on the given transaction client.
+ * @returns {Promise<object>} { record, diff }
+ */
+const saveFilePaths = async (client, req, tableName, oldRecord, paths, uploadedFiles = []) => {
+    const fileField = fileFields[tableName];
+    const userId = req.user.id;
+
+    const result = await client.query(
+        `UPDATE ${tableName} SET ${fileField} = $1, updated_at = NOW(), updated_by = $2 WHERE id = $3 RETURNING *`,
+        [JSON.stringify(paths), userId, oldRecord.id]
+    );
+    const record = result.rows[0];
+
+    await syncAttachments(client, tableName, record.id, fileField, paths, { uploadedFiles, userId });
+
+    const diff = diffRecords(oldRecord, record, [], fileField);
+    await logAction('UPDATE', tableName, record.id, userId, req.user.displayName, diff, client);
+    await recordEvent(client, tableName, 'updated', record, { actor: req.user });
+
+    return { record, diff };
+};
+
+/**
+ * Builds a Content-Disposition header that keeps non-ASCII names intact (RFC 6266).
+ * @param {string} type - 'attachment' or 'inline'.
+ * @param {string} filename - The original file name.
+ * @returns {string}
+ */
+const contentDisposition = (type, filename) => {
+    const fallback = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+    return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+// GET Attachments of a record, in display order
+exports.getAttachments = (tableName) => async (req, res) => {
+    const { id } = req.params;
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const record = await loadRecord(client, tableName, id);
+        if (!record || !workflow.isVisible(req.user, tableName, record)) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: `${tableName} with ID ${id} not found.` });
+        }
+        const attachments = await listAttachments(client, tableName, id);
+        await client.query('COMMIT');
+
+        res.status(200).json(attachments.map(attachment => withUrl(req, attachment)));
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`Error fetching attachments of ${tableName}/${id}:`, error);
+        res.status(500).json({ message: `Error fetching attachments of ${tableName}.` });
+    } finally {
+        client.release();
+    }
+};
+
+// ADD Attachments: multipart upload in the record's file field, appended at the end
+exports.addAttachments = (tableName) => async (req, res) => {
+    const { id } = req.params;
+    const fileField = fileFields[tableName];
+    const uploadedFiles = (req.files && req.files[fileField]) || [];
+    const newPaths = uploadedFiles.map(file => `uploads/${file.filename}`);
+
+    if (newPaths.length === 0) {
+        return res.status(400).json({ message: `No files received. Upload them in the "${fileField}" field.` });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN'); // Start transaction
+
+        const oldRecord = await loadRecord(client, tableName, id, true);
+        if (!oldRecord) {
+            await client.query('ROLLBACK');
+            // Files not referenced by anything else are removed again
+            newPaths.forEach(deleteFile);
+            return res.status(404).json({ message: `${tableName} with ID ${id} not found.` });
+        }
+        if (!workflow.canChangeFiles(req.user, tableName, oldRecord)) {
+            await client.query('ROLLBACK');
+            newPaths.forEach(deleteFile);
+            return res.status(403).json({ message: workflow.FILES_NEED_REVIEWER });
+        }
+
+        // Identical files are stored once, also within one record
+        const paths = [...new Set([...parseFilePaths(oldRecord[fileField]), ...newPaths])];
+        await saveFilePaths(client, req, tableName, oldRecord, paths, uploadedFiles);
+        const attachments = await listAttachments(client, tableName, id);
+
+        await client.query('COMMIT'); // Commit transaction
+        res.status(201).json(attachments.map(attachment => withUrl(req, attachment)));
+
+    } catch (error) {
+        await client.query('ROLLBACK'); // Rollback on error
+        newPaths.forEach(deleteFile);
+        console.error(`Error adding attachments to ${tableName}/${id}:`, error);
+        res.status(500).json({ message: `Error adding attachments to ${tableName}.` });
+    } finally {
+        client.release();
+    }
+};
+
+// REORDER Attachments. Body: { ids: [attachmentId, ...] } listing every attachment of the record
+exports.reorderAttachments = (tableName) => async (req, res) => {
+    const { id } = req.params;
+    const ids = Array.isArray(req.body.ids) ? req.body.ids.map(Number) : null;
+
+    if (!ids || ids.some(value => !Number.isInteger(value))) {
+        return res.status(400).json({ message: 'ids must be an array of attachment ids.' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN'); // Start transaction
+
+        const oldRecord = await loadRecord(client, tableName, id, true);
+        if (!oldRecord) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: `${tableName} with ID ${id} not found.` });
+        }
+        if (!workflow.canChangeFiles(req.user, tableName, oldRecord)) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ message: workflow.FILES_NEED_REVIEWER });
+        }
+
+        const attachments = await listAttachments(client, tableName, id);
+        const byId = new Map(attachments.map(attachment => [attachment.id, attachment]));
+
+        if (ids.length !== attachments.length || new Set(ids).size !== ids.length || ids.some(value => !byId.has(value))) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                message: 'ids must list every attachment of this record exactly once.',
+                attachment_ids: attachments.map(attachment => attachment.id)
+            });
+        }
+
+        await saveFilePaths(client, req, tableName, oldRecord, ids.map(value => byId.get(value).storage_key));
+        const reordered = await listAttachments(client, tableName, id);
+
+        await client.query('COMMIT'); // Commit transaction
+        res.status(200).json(reordered.map(attachment => withUrl(req, attachment)));
+
+    } catch (error) {
+        await client.query('ROLLBACK'); // Rollback on error
+        console.error(`Error reordering attachments of ${tableName}/${id}:`, error);
+        res.status(500).json({ message: `Error reordering attachments of ${tableName}.` });
+    } finally {
+        client.release();
+    }
+};
+
+// DOWNLOAD an Attachment under its original name. ?inline=true displays it in the browser instead.
+exports.downloadAttachment = (tableName) => async (req, res) => {
+    const { id, attachmentId } = req.params;
+    try {
+        const result = await pool.query(
+            `SELECT a.storage_key, a.original_name, a.mime_type
+             FROM attachments a JOIN ${tableName} t ON t.id = a.record_id
+             WHERE a.id = $1 AND a.table_name = $2 AND a.record_id = $3 AND t.deleted_at IS NULL
+               AND (t.status = 'published' OR $4)`,
+            [attachmentId, tableName, id, workflow.canSeeUnpublished(req.user, tableName)]
+        );
+        const attachment = result.rows[0];
+
+        if (!attachment) {
+            return res.status(404).json({ message: `Attachment ${attachmentId} not found for ${tableName} with ID ${id}.` });
+        }
+
+        res.set('Content-Type', attachment.mime_type || mime.lookup(attachment.storage_key) || 'application/octet-stream');
+        res.set('Content-Disposition', contentDisposition(req.query.inline === 'true' ? 'inline' : 'attachment', attachment.original_name));
+
+        if (!(await streamFile(res, attachment.storage_key))) {
+            res.removeHeader('Content-Type');
+            res.removeHeader('Content-Disposition');
+            return res.status(404).json({ message: 'File not found.' });
+        }
+    } catch (error) {
+        console.error(`Error downloading attachment ${attachmentId} of ${tableName}/${id}:`, error);
+        res.status(500).json({ message: 'Error reading file.' });
+    }
+};
+
+// RENAME an Attachment. Body: { original_name }. Only the display/download name changes.
+exports.renameAttachment = (tableName) => async (req, res) => {
+    const { id, attachmentId } = req.params;
+    const name = typeof req.body.original_name === 'string' ? req.body.original_name.trim() : '';
+
+    if (!name || name.length > MAX_NAME_LENGTH || /[\\/\u0000-\u001f]/.test(name)) {
+        return res.status(400).json({ message: `original_name must be 1-${MAX_NAME_LENGTH} characters, without slashes or control characters.` });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN'); // Start transaction
+
+        const record = await loadRecord(client, tableName, id, true);
+        if (!record) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: `${tableName} with ID ${id} not found.` });
+        }
+        if (!workflow.canChangeFiles(req.user, tableName, record)) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ message: workflow.FILES_NEED_REVIEWER });
+        }
+
+        const before = await client.query(
+            'SELECT original_name FROM attachments WHERE id = $1 AND table_name = $2 AND record_id = $3',
+            [attachmentId, tableName, id]
+        );
+        if (before.rowCount === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: `Attachment ${attachmentId} not found for ${tableName} with ID ${id}.` });
+        }
+
+        const result = await client.query(
+            `UPDATE attachments SET original_name = $1 WHERE id = $2 RETURNING ${ATTACHMENT_COLUMNS}`,
+            [name, attachmentId]
+        );
+
+        await logAction('RENAME_ATTACHMENT', tableName, id, req.user.id, req.user.displayName, {
+            attachment_id: Number(attachmentId),
+            changes: { original_name: { before: before.rows[0].original_name, after: name } }
+        }, client);
+
+        await client.query('COMMIT'); // Commit transaction
+        res.status(200).json(withUrl(req, result.rows[0]));
+
+    } catch (error) {
+        await client.query('ROLLBACK'); // Rollback on error
+        console.error(`Error renaming attachment ${attachmentId} of ${tableName}/${id}:`, error);
+        res.status(500).json({ message: 'Error renaming attachment.' });
+    } finally {
+        client.release();
+    }
+};
+
+// DELETE a single Attachment. The file itself is removed once no record references it.
+exports.deleteAttachment = (tableName) => async (req, res) => {
+    const { id, attachmentId } = req.params;
+    const fileField = fileFields[tableName];
+    const client = await pool.connect();
+    let storageKey = null;
+
+    try {
+        await client.query('BEGIN'); // Start transaction
+
+        const oldRecord = await loadRecord(client, tableName, id, true);
+        if (!oldRecord) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: `${tableName} with ID ${id} not found.` });
+        }
+        if (!workflow.canChangeFiles(req.user, tableName, oldRecord)) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ message: workflow.FILES_NEED_REVIEWER });
+        }
+
+        const attachment = await client.query(
+            'SELECT storage_key FROM attachments WHERE id = $1 AND table_name = $2 AND record_id = $3',
+            [attachmentId, tableName, id]
+        );
+        if (attachment.rowCount === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: `Attachment ${attachmentId} not found for ${tableName} with ID ${id}.` });
+        }
+
+        storageKey = attachment.rows[0].storage_key;
+        const paths = parseFilePaths(oldRecord[fileField]).filter(key => key !== storageKey);
+        await saveFilePaths(client, req, tableName, oldRecord, paths);
+
+        await client.query('COMMIT'); // Commit transaction
+        res.status(200).json({ message: 'Attachment deleted successfully.' });
+
+    } catch (error) {
+        await client.query('ROLLBACK'); // Rollback on error
+        storageKey = null;
+        console.error(`Error deleting attachment ${attachmentId} of ${tableName}/${id}:`, error);
+        res.status(500).json({ message: 'Error deleting attachment.' });
+    } finally {
+        client.release();
+    }
+
+    // Only after the commit, so that a rollback never leaves a record pointing to a missing file
+    if (storageKey) deleteFile(storageKey);
+};
@@ -0,0 +1,112 @@
+// auditController.js
+
+const pool = require('../config/db');
+const { resolveRole } = require('../config/roles');
+const { buildListQuery, applyPagination, badRequest } = require('../utils/listQuery');
+
+const AUDIT_COLUMNS = ['id', 'action', 'table_name', 'document_id', 'user_id', 'user_name', 'details', 'logged_at'];
+const AUDIT_TYPES = { id: 'integer', document_id: 'integer', user_id: 'integer', logged_at: 'date' };
+
+// Session events are only visible to admins
+const SESSION_ACTIONS = ['LOGIN', 'LOGOUT'];
+
+/**
+ * Splits the `from`/`to` date range out of the query string and turns it into
+ * logged_at conditions. Every other parameter is handled by buildListQuery.
+ * @param {object} query - req.query.
+ * @param {boolean} isAdmin - Whether LOGIN/LOGOUT entries may be returned.
+ * @param {string[]} conditions - Conditions to append to.
+ * @param {Array} params - Parameters to append to.
+ * @returns {object} The remaining query parameters.
+ */
+const extractAuditFilters = (query, isAdmin, conditions, params) => {
+    const { from, to, ...rest } = query;
+
+    [[from, '>=', 'from'], [to, '<=', 'to']].forEach(([value, operator, name]) => {
+        if (value === undefined) return;
+        if (Number.isNaN(Date.parse(value))) {
+            throw badRequest(`"${name}" must be a valid date.`);
+        }
+        params.push(value);
+        conditions.push(`logged_at ${operator} $${params.length}`);
+    });
+
+    if (!isAdmin) {
+        conditions.push(`action NOT IN ('${SESSION_ACTIONS.join("', '")}')`);
+    }
+
+    return rest;
+};
+
+const listAuditEntries = async (req, res, { conditions, params, defaultSort, defaultLimit }) => {
+    const isAdmin = resolveRole(req.user.userRole) === 'admin';
+    const query = extractAuditFilters(req.query, isAdmin, conditions, params);
+
+    const listQuery = buildListQuery('audit_logs', query, {
+        columns: AUDIT_COLUMNS,
+        types: AUDIT_TYPES,
+        defaultSort,
+        defaultLimit,
+        conditions,
+        params
+    });
+
+    const [result, countResult] = await Promise.all([
+        pool.query(listQuery.text, listQuery.params),
+        pool.query(listQuery.countText, listQuery.countParams)
+    ]);
+
+    const total = countResult.rows[0].total;
+    return { rows: applyPagination(req, res, listQuery, result.rows, total), total };
+};
+
+// GET Audit Logs
+// Filters: ?table_name, ?document_id, ?user_id, ?action (or action[in]=CREATE,UPDATE), ?from, ?to
+// plus the usual page/limit/cursor/sort/fields parameters.
+exports.getAuditLogs = async (req, res) => {
+    try {
+        const { rows } = await listAuditEntries(req, res, {
+            conditions: [],
+            params: [],
+            defaultSort: '-logged_at',
+            // Only the 500 most recent records unless the client paginates
+            defaultLimit: 500
+        });
+        res.status(200).json(rows);
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Error fetching audit logs:', error);
+        res.status(500).json({ message: 'Error fetching audit logs.' });
+    }
+};
+
+// GET Record History
+// Full timeline (oldest first) of one record, including entries written after it was deleted.
+exports.getRecordHistory = (tableName) => async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const { rows, total } = await listAuditEntries(req, res, {
+            conditions: ['table_name = $1', 'document_id = $2'],
+            params: [tableName, id],
+            defaultSort: 'logged_at'
+        });
+
+        if (total === 0) {
+            const exists = await pool.query(`SELECT 1 FROM ${tableName} WHERE id = $1`, [id]);
+            if (exists.rowCount === 0) {
+                return res.status(404).json({ message: `${tableName} with ID ${id} not found.` });
+            }
+        }
+
+        res.status(200).json(rows);
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error(`Error fetching history for ${tableName}/${id}:`, error);
+        res.status(500).json({ message: `Error fetching history for ${tableName} with ID ${id}.` });
+    }
+};
@@ -1,59 +1,137 @@
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const pool = require('../config/db');
+const settings = require('../config/settings');
+const sessions = require('../utils/sessions');
+const { sendMail } = require('../mail');
 
 // This function is imported from dataController.js
 const logAction = require('./dataController').logAction; 
 
 const SALT_ROUNDS = 10;
-// Hardcoded JWT Secret (Copied from .env)
-const JWT_SECRET_HARDCODED = 'YOUR_COMPLEX_JWT_SECRET_HERE_A8G9F2J3L4K5P6'; 
-
-// --- Helper function to generate a JWT ---
-const generateToken = (user) => {
-    // CRITICAL: Ensure user_role is included in the token payload
-    return jwt.sign(
-        { id: user.id, email: user.email, displayName: user.display_name, userRole: user.user_role },
-        JWT_SECRET_HARDCODED,
-        { expiresIn: '24h' } // Token expires in 1 hour
-    );
+
+// --- Helper function to build the login/signup response ---
+// `token` is a short-lived access token (ACCESS_TOKEN_TTL); `refresh_token` gets a new one
+// from POST /api/auth/refresh and is replaced on every use.
+const authResponse = (user, tokens) => ({
+    token: tokens.token,
+    refresh_token: tokens.refresh_token,
+    expires_in: tokens.expires_in,
+    // CRITICAL FIX: Ensure user_role is returned in the response payload
+    user: { id: user.id, email: user.email, displayName: user.display_name, user_role: user.user_role }
+});
+
+// --- Helper function to check a new password ---
+// bcrypt ignores everything after 72 bytes, so longer passwords are refused rather than truncated.
+const validatePassword = (password) => {
+    if (typeof password !== 'string' || password.length < settings.auth.minPasswordLength) {
+        return `Password must be at least ${settings.auth.minPasswordLength} characters long.`;
+    }
+    if (Buffer.byteLength(password) > 72) {
+        return 'Password must be at most 72 bytes long.';
+    }
+    return null;
 };
 
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Security notices are best-effort: a mail failure must not undo a password change
+const notifyPasswordChanged = (user) => sendMail({
+    to: user.email,
+    subject: 'Your Product DB password was changed',
+    text: `Hello ${user.display_name},\n\nThe password of your Product DB account was just changed and your other sessions were signed out.\nIf this was not you, reset your password right away and contact an administrator.`
+}).catch(error => console.error(`Mail error: Failed to send password notice to user ${user.id}:`, error));
+
 // --- SIGN UP ---
+// Self-signup can be limited to SIGNUP_ALLOWED_DOMAINS or, with SIGNUP_REQUIRE_INVITATION, to
+// invited emails. Body: { email, password, displayName, invitation_token? }; an invitation also
+// sets the new account's role.
 exports.signup = async (req, res) => {
-    const { email, password, displayName } = req.body;
+    const { email, password, displayName, invitation_token: invitationToken } = req.body;
     
     if (!email || !password || !displayName) {
         return res.status(400).json({ message: 'All fields are required.' });
     }
 
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+        return res.status(400).json({ message: passwordError });
+    }
+
     const client = await pool.connect();
     try {
+        await client.query('BEGIN'); // Start transaction
+
         // 1. Check if user already exists
         const userCheck = await client.query('SELECT id FROM users WHERE email = $1', [email]);
         if (userCheck.rows.length > 0) {
+            await client.query('ROLLBACK');
             return res.status(409).json({ message: 'User already exists.' });
         }
 
-        // 2. Hash password
+        // 2. Check the invitation, or the signup restrictions when there is none
+        let invitation = null;
+        if (invitationToken) {
+            const invitationResult = await client.query(
+                `SELECT id, email, user_role FROM user_invitations
+                 WHERE token_hash = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+                 FOR UPDATE`,
+                [hashToken(String(invitationToken))]
+            );
+            invitation = invitationResult.rows[0];
+
+            if (!invitation || invitation.email.toLowerCase() !== String(email).toLowerCase()) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ message: 'This invitation is invalid, expired or was sent to another email address.' });
+            }
+        } else {
+            const { allowedDomains, requireInvitation } = settings.signup;
+            const domain = String(email).split('@').pop().toLowerCase();
+
+            if (requireInvitation) {
+                await client.query('ROLLBACK');
+                return res.status(403).json({ message: 'Sign-up is by invitation only. Please ask an administrator to invite you.' });
+            }
+            if (allowedDomains.length > 0 && !allowedDomains.includes(domain)) {
+                await client.query('ROLLBACK');
+                return res.status(403).json({ message: `Sign-up is restricted to ${allowedDomains.map(d => `@${d}`).join(', ')} email addresses.` });
+            }
+        }
+
+        // 3. Hash password
         const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
 
-        // 3. Insert new user (role defaults to 'user' in the database schema)
-        const result = await client.query(
-            'INSERT INTO users (email, password_hash, display_name) VALUES ($1, $2, $3) RETURNING id, email, display_name, user_role',
-            [email, hashedPassword, displayName]
-        );
+        // 4. Insert new user (role defaults to 'user' in the database schema, unless invited with a role)
+        const result = invitation
+            ? await client.query(
+                'INSERT INTO users (email, password_hash, display_name, user_role) VALUES ($1, $2, $3, $4) RETURNING id, email, display_name, user_role',
+                [email, hashedPassword, displayName, invitation.user_role]
+            )
+            : await client.query(
+                'INSERT INTO users (email, password_hash, display_name) VALUES ($1, $2, $3) RETURNING id, email, display_name, user_role',
+                [email, hashedPassword, displayName]
+            );
         const user = result.rows[0];
 
-        // 4. Generate JWT
-        const token = generateToken(user);
+        if (invitation) {
+            await client.query('UPDATE user_invitations SET accepted_at = NOW(), accepted_user_id = $1 WHERE id = $2', [user.id, invitation.id]);
+        }
+
+        // 5. Open a session (access + refresh token)
+        const tokens = await sessions.createSession(user, req, client);
 
-        // 5. Audit Log (SIGNUP)
-        await logAction('SIGNUP', 'users', user.id, user.id, user.display_name, { email: user.email, role: user.user_role });
+        // 6. Audit Log (SIGNUP)
+        await logAction('SIGNUP', 'users', user.id, user.id, user.display_name, {
+            email: user.email,
+            role: user.user_role,
+            invitation_id: invitation ? invitation.id : null,
+            session_id: tokens.sessionId
+        }, client);
 
-        // CRITICAL FIX: Ensure user_role is returned in the response payload
-        res.status(201).json({ token, user: { id: user.id, email: user.email, displayName: user.display_name, user_role: user.user_role } });
+        await client.query('COMMIT'); // Commit transaction
+        res.status(201).json(authResponse(user, tokens));
     } catch (error) {
+        await client.query('ROLLBACK'); // Rollback on error
         console.error('Signup error:', error);
         res.status(500).json({ message: 'Server error during sign up.' });
     } finally {
@@ -65,7 +143,6 @@ exports.signup = async (req, res) => {
 
 exports.login = async (req, res) => {
     console.log('[LOGIN] Request received from origin:', req.headers.origin);
-    console.log('[LOGIN] Request body:', req.body);
     
     const { email, password } = req.body;
     
@@ -76,37 +153,85 @@ exports.login = async (req, res) => {
 
     const client = await pool.connect();
     try {
-        console.log('[LOGIN] Querying database for user:', email);
-        
         // 1. Find user by email. CRITICAL: Select 'user_role' here
-        const result = await client.query('SELECT id, email, password_hash, display_name, user_role FROM users WHERE email = $1', [email]);
+        const result = await client.query(
+            `SELECT id, email, password_hash, display_name, user_role, is_active, failed_login_count, locked_until,
+                    GREATEST(CEIL(EXTRACT(EPOCH FROM locked_until - NOW())), 0) AS locked_seconds
+             FROM users WHERE email = $1`,
+            [email]
+        );
         const user = result.rows[0];
 
         if (!user) {
             console.log('[LOGIN] User not found');
+            await logAction('LOGIN_FAILED', 'users', null, null, email, { email, reason: 'unknown_email', ip: req.ip });
             return res.status(401).json({ message: 'Invalid credentials.' });
         }
 
-        // 2. Compare password hash
+        // 2. Locked accounts are refused without checking the password
+        const lockedSeconds = Number(user.locked_seconds) || 0;
+        if (lockedSeconds > 0) {
+            console.log('[LOGIN] Account locked');
+            await logAction('LOGIN_FAILED', 'users', user.id, user.id, user.display_name, { email, reason: 'account_locked', ip: req.ip });
+            res.set('Retry-After', String(lockedSeconds));
+            return res.status(429).json({ message: `Too many failed login attempts. Try again in ${Math.ceil(lockedSeconds / 60)} minute(s).` });
+        }
+
+        // 3. Compare password hash
         const isMatch = await bcrypt.compare(password, user.password_hash);
 
         if (!isMatch) {
             console.log('[LOGIN] Password mismatch');
+
+            // Count the failure; the account is locked (and the counter restarted) when it reaches the limit
+            // (LOCKOUT_MAX_FAILED_LOGINS=0 disables the lockout)
+            const { maxFailedLogins, lockMinutes } = settings.auth.lockout;
+            let locked = false;
+            if (maxFailedLogins > 0) {
+                const failure = await client.query(
+                    `UPDATE users SET
+                        failed_login_count = CASE WHEN failed_login_count + 1 >= $2 THEN 0 ELSE failed_login_count + 1 END,
+                        locked_until = CASE WHEN failed_login_count + 1 >= $2 THEN NOW() + $3 * INTERVAL '1 minute' ELSE locked_until END
+                     WHERE id = $1 RETURNING failed_login_count = 0 AS locked`,
+                    [user.id, maxFailedLogins, lockMinutes]
+                );
+                locked = failure.rows[0].locked;
+            }
+
+            await logAction('LOGIN_FAILED', 'users', user.id, user.id, user.display_name, { email, reason: 'wrong_password', ip: req.ip });
+            if (locked) {
+                console.warn(`[LOGIN] Account ${user.id} locked for ${lockMinutes} minute(s).`);
+                await logAction('ACCOUNT_LOCKED', 'users', user.id, user.id, user.display_name, {
+                    failed_attempts: maxFailedLogins,
+                    locked_minutes: lockMinutes,
+                    ip: req.ip
+                });
+            }
             return res.status(401).json({ message: 'Invalid credentials.' });
         }
 
-        console.log('[LOGIN] Authentication successful for user:', user.email);
+        // Deactivated accounts are only told so once the password is right
+        if (!user.is_active) {
+            console.log('[LOGIN] Account deactivated');
+            await logAction('LOGIN_FAILED', 'users', user.id, user.id, user.display_name, { email, reason: 'account_deactivated', ip: req.ip });
+            return res.status(403).json({ message: 'This account has been deactivated. Please contact an administrator.' });
+        }
+
+        if (user.failed_login_count > 0 || user.locked_until) {
+            await client.query('UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = $1', [user.id]);
+        }
+
+        console.log('[LOGIN] Authentication successful for user id:', user.id);
 
-        // 3. Generate JWT
-        const token = generateToken(user);
+        // 4. Open a session (access + refresh token)
+        const tokens = await sessions.createSession(user, req, client);
 
-        // 4. Audit Log (LOGIN)
-        await logAction('LOGIN', 'users', user.id, user.id, user.display_name, { email: user.email, role: user.user_role });
+        // 5. Audit Log (LOGIN)
+        await logAction('LOGIN', 'users', user.id, user.id, user.display_name, { email: user.email, role: user.user_role, session_id: tokens.sessionId });
         
         console.log('[LOGIN] Sending response with token');
         
-        // CRITICAL FIX: Ensure user_role is returned in the response payload
-        res.status(200).json({ token, user: { id: user.id, email: user.email, displayName: user.display_name, user_role: user.user_role } });
+        res.status(200).json(authResponse(user, tokens));
     } catch (error) {
         console.error('[LOGIN] Error:', error);
         res.status(500).json({ message: 'Server error during login.' });
@@ -114,17 +239,268 @@ exports.login = async (req, res) => {
         client.release();
     }
 };
+// --- REFRESH ---
+// Body: { refresh_token }. Returns a new access token and a new refresh token; the old
+// refresh token stops working. Reusing an old one revokes the whole session.
+exports.refresh = async (req, res) => {
+    try {
+        const { status, session, user, tokens } = await sessions.rotateSession(req.body.refresh_token);
+
+        if (status === 'reused') {
+            console.warn(`[AUTH] Refresh token reuse on session ${session.id} of user ${user.id}. Session revoked.`);
+            await logAction('REFRESH_TOKEN_REUSED', 'users', user.id, user.id, user.display_name, {
+                session_id: session.id,
+                ip: req.ip,
+                status: 'Session revoked.'
+            });
+        }
+
+        if (status !== 'ok') {
+            return res.status(401).json({ message: 'Invalid or expired refresh token. Please log in again.' });
+        }
+
+        res.status(200).json(authResponse(user, tokens));
+    } catch (error) {
+        console.error('Refresh error:', error);
+        res.status(500).json({ message: 'Server error during token refresh.' });
+    }
+};
+
 // --- LOG OUT ---
+// Revokes the current session; ?all=true logs out every session of the user.
 exports.logout = async (req, res) => {
     const userId = req.user.id;
     const userName = req.user.displayName;
+    const everywhere = req.query.all === 'true';
     
     try {
-        await logAction('LOGOUT', 'users', userId, userId, userName, { message: 'User logged out.' });
-        res.status(200).json({ message: 'Logout successfully logged.' });
+        const revoked = everywhere
+            ? await sessions.revokeUserSessions(userId, 'logout')
+            : Number(await sessions.revokeSession(req.user.sessionId, 'logout'));
+
+        await logAction('LOGOUT', 'users', userId, userId, userName, {
+            message: 'User logged out.',
+            session_id: req.user.sessionId,
+            all_sessions: everywhere,
+            revoked_sessions: revoked
+        });
+        res.status(200).json({ message: 'Logged out.', revoked_sessions: revoked });
+
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ message: 'Server error during logout.' });
+    }
+};
+
+// --- CHANGE PASSWORD (logged-in user) ---
+// Body: { current_password, new_password }. Other sessions are signed out; this one stays.
+exports.changePassword = async (req, res) => {
+    const { current_password: currentPassword, new_password: newPassword } = req.body;
+    const userId = req.user.id;
+    const userName = req.user.displayName;
+
+    if (!currentPassword || !newPassword) {
+        return res.status(400).json({ message: 'current_password and new_password are required.' });
+    }
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) {
+        return res.status(400).json({ message: passwordError });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN'); // Start transaction
+
+        const result = await client.query('SELECT id, email, display_name, password_hash FROM users WHERE id = $1 FOR UPDATE', [userId]);
+        const user = result.rows[0];
+
+        if (!user || !(await bcrypt.compare(currentPassword, user.password_hash))) {
+            await client.query('ROLLBACK');
+            await logAction('PASSWORD_CHANGE_FAILED', 'users', userId, userId, userName, { reason: 'wrong_current_password', ip: req.ip });
+            // 400 rather than 401: the session itself is still valid
+            return res.status(400).json({ message: 'Current password is incorrect.' });
+        }
+
+        if (await bcrypt.compare(newPassword, user.password_hash)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'The new password must be different from the current one.' });
+        }
+
+        const hashedPassword = await bcrypt.hash(newPassword, SALT_ROUNDS);
+        await client.query(
+            'UPDATE users SET password_hash = $1, password_changed_at = NOW(), failed_login_count = 0, locked_until = NULL WHERE id = $2',
+            [hashedPassword, userId]
+        );
+        const revoked = await sessions.revokeOtherSessions(userId, req.user.sessionId, 'password_changed', client);
+
+        await logAction('PASSWORD_CHANGED', 'users', userId, userId, userName, { revoked_sessions: revoked, ip: req.ip }, client);
+
+        await client.query('COMMIT'); // Commit transaction
+        notifyPasswordChanged(user);
+        res.status(200).json({ message: 'Password changed.', revoked_sessions: revoked });
+
+    } catch (error) {
+        await client.query('ROLLBACK'); // Rollback on error
+        console.error('Change password error:', error);
+        res.status(500).json({ message: 'Server error while changing password.' });
+    } finally {
+        client.release();
+    }
+};
+
+// --- FORGOT PASSWORD ---
+// Body: { email }. Emails a one-time reset link. The response is the same whether or not
+// the account exists, so this endpoint cannot be used to discover accounts.
+exports.forgotPassword = async (req, res) => {
+    const { email } = req.body;
+    const genericResponse = { message: 'If an account exists for this email, a reset link has been sent.' };
+
+    if (!email) {
+        return res.status(400).json({ message: 'Email is required.' });
+    }
+
+    const client = await pool.connect();
+    let user = null;
+    let token = null;
+    try {
+        await client.query('BEGIN'); // Start transaction
+
+        const result = await client.query('SELECT id, email, display_name FROM users WHERE email = $1 AND is_active', [email]);
+        user = result.rows[0];
+
+        if (!user) {
+            await client.query('ROLLBACK');
+            console.log('[RESET] Reset requested for unknown email.');
+            return res.status(200).json(genericResponse);
+        }
+
+        // Only the latest link works; only its hash is stored
+        token = crypto.randomBytes(32).toString('base64url');
+        await client.query('DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL', [user.id]);
+        await client.query(
+            `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+             VALUES ($1, $2, NOW() + $3 * INTERVAL '1 minute', $4)`,
+            [user.id, hashToken(token), settings.auth.passwordResetTtlMinutes, req.ip]
+        );
+
+        await logAction('PASSWORD_RESET_REQUESTED', 'users', user.id, user.id, user.display_name, { ip: req.ip }, client);
+
+        await client.query('COMMIT'); // Commit transaction
+    } catch (error) {
+        await client.query('ROLLBACK'); // Rollback on error
+        console.error('Forgot password error:', error);
+        return res.status(500).json({ message: 'Server error while requesting a password reset.' });
+    } finally {
+        client.release();
+    }
+
+    try {
+        const separator = settings.auth.passwordResetUrl.includes('?') ? '&' : '?';
+        await sendMail({
+            to: user.email,
+            subject: 'Reset your Product DB password',
+            text: `Hello ${user.display_name},\n\nUse this link to choose a new password. It expires in ${settings.auth.passwordResetTtlMinutes} minutes and works once:\n${settings.auth.passwordResetUrl}${separator}token=${token}\n\nIf you did not ask for this, you can ignore this email.`
+        });
+    } catch (error) {
+        // Not reported to the client, for the same reason as unknown emails
+        console.error(`Mail error: Failed to send reset link to user ${user.id}:`, error);
+    }
+
+    res.status(200).json(genericResponse);
+};
+
+// --- RESET PASSWORD ---
+// Body: { token, new_password }. Consumes the token, unlocks the account and signs out every session.
+exports.resetPassword = async (req, res) => {
+    const { token, new_password: newPassword } = req.body;
+
+    if (!token || !newPassword) {
+        return res.status(400).json({ message: 'token and new_password are required.' });
+    }
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) {
+        return res.status(400).json({ message: passwordError });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN'); // Start transaction
+
+        const result = await client.query(
+            `SELECT t.id, t.user_id, u.email, u.display_name
+             FROM password_reset_tokens t JOIN users u ON u.id = t.user_id
+             WHERE t.token_hash = $1 AND t.used_at IS NULL AND t.expires_at > NOW() AND u.is_active
+             FOR UPDATE OF t`,
+            [hashToken(String(token))]
+        );
+        const resetToken = result.rows[0];
+
+        if (!resetToken) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'This reset link is invalid or has expired. Please request a new one.' });
+        }
+
+        const hashedPassword = await bcrypt.hash(newPassword, SALT_ROUNDS);
+        await client.query(
+            'UPDATE users SET password_hash = $1, password_changed_at = NOW(), failed_login_count = 0, locked_until = NULL WHERE id = $2',
+            [hashedPassword, resetToken.user_id]
+        );
+        await client.query('UPDATE password_reset_tokens SET used_at = NOW() WHERE id = $1', [resetToken.id]);
+        const revoked = await sessions.revokeUserSessions(resetToken.user_id, 'password_reset', client);
+
+        await logAction('PASSWORD_RESET', 'users', resetToken.user_id, resetToken.user_id, resetToken.display_name, {
+            revoked_sessions: revoked,
+            ip: req.ip
+        }, client);
+
+        await client.query('COMMIT'); // Commit transaction
+        notifyPasswordChanged({ id: resetToken.user_id, email: resetToken.email, display_name: resetToken.display_name });
+        res.status(200).json({ message: 'Password reset. Please log in with your new password.' });
+
+    } catch (error) {
+        await client.query('ROLLBACK'); // Rollback on error
+        console.error('Reset password error:', error);
+        res.status(500).json({ message: 'Server error while resetting password.' });
+    } finally {
+        client.release();
+    }
+};
+
+// --- SESSIONS ---
+// GET own sessions (so users can spot a device they do not recognise)
+exports.getMySessions = async (req, res) => {
+    try {
+        const rows = await sessions.listUserSessions(req.user.id);
+        res.status(200).json(rows.map(row => ({ ...row, current: row.id === req.user.sessionId })));
+    } catch (error) {
+        console.error('Error fetching sessions:', error);
+        res.status(500).json({ message: 'Error fetching sessions.' });
+    }
+};
+
+// GET sessions of any user (admin)
+exports.getUserSessions = async (req, res) => {
+    try {
+        res.status(200).json(await sessions.listUserSessions(req.params.id));
+    } catch (error) {
+        console.error(`Error fetching sessions of user ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Error fetching sessions.' });
+    }
+};
+
+// REVOKE every session of a user (admin), e.g. after a stolen laptop.
+// Their access tokens stop working on the next request.
+exports.revokeUserSessions = async (req, res) => {
+    const targetId = req.params.id;
+    try {
+        const revoked = await sessions.revokeUserSessions(targetId, 'revoked_by_admin');
 
+        await logAction('REVOKE_SESSIONS', 'users', targetId, req.user.id, req.user.displayName, {
+            revoked_sessions: revoked
+        });
+        res.status(200).json({ message: `Revoked ${revoked} session(s).`, revoked_sessions: revoked });
     } catch (error) {
-        console.error('Logout logging error:', error);
-        res.status(202).json({ message: 'Logout registered, but failed to log to audit table.' });
+        console.error(`Error revoking sessions of user ${targetId}:`, error);
+        res.status(500).json({ message: 'Error revoking sessions.' });
     }
 };
@@ -2,52 +2,189 @@
 
 const pool = require('../config/db');
 // NEW: Import the file controller for file deletion logic
-const { deleteFile } = require('./fileController'); 
+const { deleteFile, fileExists, parseFilePaths, signFileField, syncAttachments, toStorageKey } = require('./fileController'); 
+const { buildListQuery, applyPagination } = require('../utils/listQuery');
+const { diffRecords, isEmptyDiff, rewindRecord } = require('../utils/recordDiff');
+const { versionTag, matchesVersion } = require('../utils/recordVersion');
+const { validatePayload } = require('../utils/validate');
+const workflow = require('../utils/workflow');
+const { recordEvent } = require('../utils/outbox');
+const { tableColumns, fileFields, listOptions } = require('../config/tables');
+const settings = require('../config/settings');
 
 // --- AUDITING FUNCTION (Centralized logging) ---
-exports.logAction = async (action, table_name, document_id, user_id, user_name, details = {}) => {
+// Pass a transaction client as `db` to write the entry inside that transaction. There a failure
+// is rethrown: the failed INSERT has aborted the transaction, so the caller must roll back and
+// report the error rather than COMMIT (which would silently roll back) and answer success.
+exports.logAction = async (action, table_name, document_id, user_id, user_name, details = {}, db = pool) => {
     try {
-        await pool.query(
+        await db.query(
             'INSERT INTO audit_logs (action, table_name, document_id, user_id, user_name, details) VALUES ($1, $2, $3, $4, $5, $6)',
             [action, table_name, document_id, user_id, user_name, details]
         );
     } catch (error) {
         console.error(`CRITICAL: Failed to write audit log for ${action} on ${table_name}/${document_id}. Error:`, error);
-        // Do not throw, as a failed log should not crash the main operation
+        if (db !== pool) throw error;
+        // Outside a transaction a failed log should not crash the main operation
     }
 };
 
 const { logAction } = exports; // Reference for internal use
 
+// File columns are sent as signed links ('uploads/<name>?expires=...&sig=...'), never as raw paths,
+// because /uploads only serves authenticated or signed requests.
+const presentRecord = (tableName, record) => signFileField(record, fileFields[tableName]);
+
+// --- PRODUCT LINE CASCADES ---
+// Products keep the name of their line in product_line next to product_line_id, so every change
+// to that link goes through these helpers, inside the caller's transaction.
+
+/**
+ * Points every product of a product line (trashed ones included) at a line and its current name.
+ * Used after a rename (target is the same line, including renames approved by a reviewer) and to
+ * reassign products before a line is deleted.
+ * Each product that changes gets its own UPDATE audit entry, written on the same client.
+ * @param {object} client - Transaction client.
+ * @param {number|string} lineId - The product line the products belong to now.
+ * @param {object} target - { id, name } of the product line they should belong to.
+ * @param {object} actor - { id, displayName } of the requesting user.
+ * @returns {Promise<number[]>} Ids of the products that were updated.
+ */
+exports.moveProducts = async (client, lineId, target, actor) => {
+    const before = await client.query('SELECT * FROM products WHERE product_line_id = $1 ORDER BY id FOR UPDATE', [lineId]);
+    if (before.rowCount === 0) return [];
+
+    const result = await client.query(
+        `UPDATE products SET product_line = $1, product_line_id = $2, updated_at = NOW(), updated_by = $3
+         WHERE product_line_id = $4 AND (product_line IS DISTINCT FROM $1 OR product_line_id <> $2) RETURNING *`,
+        [target.name, target.id, actor.id, lineId]
+    );
+
+    for (const product of result.rows) {
+        const oldProduct = before.rows.find(row => row.id === product.id);
+        const diff = diffRecords(oldProduct, product, tableColumns.products, fileFields.products);
+        await logAction('UPDATE', 'products', product.id, actor.id, actor.displayName, {
+            ...diff,
+            cascade: { table_name: 'product_lines', record_id: Number(lineId) }
+        }, client);
+        await recordEvent(client, 'products', 'updated', product, { actor, changes: diff.changes });
+    }
+
+    return result.rows.map(product => product.id);
+};
+
+/**
+ * Moves the live products of a product line to the trash, auditing each one on the same client.
+ * @param {object} client - Transaction client.
+ * @param {number|string} lineId - The product line being deleted.
+ * @param {object} actor - { id, displayName } of the requesting user.
+ * @returns {Promise<number[]>} Ids of the trashed products.
+ */
+const trashProducts = async (client, lineId, actor) => {
+    const before = await client.query(
+        'SELECT * FROM products WHERE product_line_id = $1 AND deleted_at IS NULL ORDER BY id FOR UPDATE',
+        [lineId]
+    );
+
+    for (const oldData of before.rows) {
+        await client.query('UPDATE products SET deleted_at = NOW(), deleted_by = $1 WHERE id = $2', [actor.id, oldData.id]);
+        await logAction('DELETE', 'products', oldData.id, actor.id, actor.displayName, {
+            status: 'Record moved to trash with its product line.',
+            oldData,
+            cascade: { table_name: 'product_lines', record_id: Number(lineId) }
+        }, client);
+        await recordEvent(client, 'products', 'deleted', oldData, { actor });
+    }
+
+    return before.rows.map(product => product.id);
+};
+
 // --- DYNAMIC CRUD OPERATIONS (using tableName from server.js routes) ---
 
 // GET All Items
+// Supports ?page/&limit or ?cursor, ?sort, ?fields and column filters (see utils/listQuery.js).
+// The body stays a plain array; totals and page links are sent as X-Total-Count and Link headers.
+// Readers only get published records (see utils/workflow.js).
 exports.getAllItems = (tableName) => async (req, res) => {
     try {
-        let orderByClause = 'ORDER BY id ASC';
-        let whereClause = '';
-        const queryParams = [];
-        let limitClause = '';
-
-        if (tableName === 'audit_logs') {
-            // FIX APPLIED HERE: Filter out LOGIN and LOGOUT actions at the database level
-            orderByClause = 'ORDER BY logged_at DESC';
-            whereClause = "WHERE action NOT IN ('LOGIN', 'LOGOUT')";
-            // OPTIMIZATION: Limit the logs to the 500 most recent records
-            limitClause = 'LIMIT 500'; 
-        } else if (tableName === 'users' || tableName === 'product_lines' || tableName === 'products') {
-            orderByClause = 'ORDER BY created_at DESC';
-        }
-
-        // OPTIMIZATION: Append limitClause to the final query string
-        const result = await pool.query(`SELECT * FROM ${tableName} ${whereClause} ${orderByClause} ${limitClause}`, queryParams);
-        res.status(200).json(result.rows);
+        const options = listOptions[tableName];
+        const listQuery = buildListQuery(tableName, req.query, {
+            ...options,
+            conditions: [...options.conditions, ...workflow.visibilityConditions(req.user, tableName)]
+        });
+
+        const [result, countResult] = await Promise.all([
+            pool.query(listQuery.text, listQuery.params),
+            pool.query(listQuery.countText, listQuery.countParams)
+        ]);
+
+        const rows = applyPagination(req, res, listQuery, result.rows, countResult.rows[0].total);
+        res.status(200).json(rows.map(row => presentRecord(tableName, row)));
     } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ message: error.message });
+        }
         console.error(`Error fetching ${tableName}:`, error);
         res.status(500).json({ message: `Error fetching data for ${tableName}.` });
     }
 };
 
+// GET Single Item
+// Products embed their parent product line (resolved through product_line_id).
+// Product lines embed their products when called with ?include=products.
+// Editors and reviewers get the pending draft of a published record with ?include=draft.
+exports.getItem = (tableName) => async (req, res) => {
+    const { id } = req.params;
+    const include = String(req.query.include || '').split(',').map(i => i.trim()).filter(Boolean);
+    const seesUnpublished = workflow.canSeeUnpublished(req.user, tableName);
+
+    try {
+        const result = await pool.query(`SELECT * FROM ${tableName} WHERE id = $1 AND deleted_at IS NULL`, [id]);
+        const item = result.rows[0];
+
+        // Readers are not told that an unpublished record exists
+        if (!item || !workflow.isVisible(req.user, tableName, item)) {
+            return res.status(404).json({ message: `${tableName} with ID ${id} not found.` });
+        }
+
+        if (tableName === 'products') {
+            const parentResult = item.product_line_id
+                ? await pool.query('SELECT * FROM product_lines WHERE id = $1', [item.product_line_id])
+                : { rows: [] };
+            const parent = parentResult.rows[0];
+            // Nor about an unpublished parent line
+            item.product_line_details = parent && workflow.isVisible(req.user, 'product_lines', parent)
+                ? presentRecord('product_lines', parent)
+                : null;
+        }
+
+        if (tableName === 'product_lines' && include.includes('products')) {
+            const childrenResult = await pool.query(
+                `SELECT * FROM products WHERE product_line_id = $1 AND deleted_at IS NULL
+                 ${workflow.canSeeUnpublished(req.user, 'products') ? '' : "AND status = 'published'"}
+                 ORDER BY created_at DESC, id DESC`,
+                [id]
+            );
+            item.products = childrenResult.rows.map(row => presentRecord('products', row));
+        }
+
+        // Editors save over the pending draft too, so it is part of the version they get
+        const pendingDraft = seesUnpublished && workflow.requiresReview(item)
+            ? await workflow.findPendingDraft(pool, tableName, id)
+            : null;
+        if (include.includes('draft') && seesUnpublished) {
+            item.pending_draft = pendingDraft;
+        }
+
+        // Version token for PUT If-Match
+        res.set('ETag', versionTag(item, pendingDraft));
+        res.status(200).json(presentRecord(tableName, item));
+    } catch (error) {
+        console.error(`Error fetching ${tableName}/${id}:`, error);
+        res.status(500).json({ message: `Error fetching ${tableName} with ID ${id}.` });
+    }
+};
+
 // CREATE Item
 exports.createItem = (tableName) => async (req, res) => {
     // Data from req.body (non-file fields) AND req.files (file paths)
@@ -61,8 +198,7 @@ exports.createItem = (tableName) => async (req, res) => {
     // 1. Process uploaded files from Multer and add path array to data payload
     if (req.files) {
         // Determine the specific file field for the current table
-        const fileField = tableName === 'products' ? 'product_pictures' : 
-                          tableName === 'product_lines' ? 'attachments_raw' : null;
+        const fileField = fileFields[tableName] || null;
 
         if (fileField && req.files[fileField] && Array.isArray(req.files[fileField])) {
             const paths = req.files[fileField].map(file => {
@@ -70,62 +206,54 @@ exports.createItem = (tableName) => async (req, res) => {
                 newlyUploadedFiles.push(path); // Track for rollback
                 return path;
             });
-            // CRITICAL: Store a JSON stringified array of paths
-            data[fileField] = JSON.stringify(paths);
+            // CRITICAL: Store a JSON stringified array of paths (identical files are stored once)
+            data[fileField] = JSON.stringify([...new Set(paths)]);
         }
     }
     
     // Store path for potential cleanup (now an array)
     const filesToDeleteOnRollback = newlyUploadedFiles;
+
+    // 2. Validate and coerce the payload against config/schemas.js (unknown keys are dropped)
+    const { values: finalPayload, errors } = validatePayload(tableName, data);
+    if (errors) {
+        filesToDeleteOnRollback.forEach(path => deleteFile(path));
+        return res.status(400).json({ message: 'Validation failed.', errors });
+    }
+
+    // File columns are only ever written by the server
+    const fileField = fileFields[tableName] || null;
+    if (fileField && data[fileField] && newlyUploadedFiles.length > 0) {
+        finalPayload[fileField] = data[fileField];
+    }
+
+    // New records wait for a reviewer before readers can see them
+    finalPayload.status = workflow.initialStatus();
+    if (finalPayload.status === 'published') {
+        finalPayload.published_at = new Date();
+    }
     
     const client = await pool.connect();
     try {
         await client.query('BEGIN'); // Start transaction
 
         // --- CRITICAL FIX START: Lookup product_line_id from name for 'products' table ---
-        if (tableName === 'products' && data.product_line) {
+        if (tableName === 'products' && finalPayload.product_line) {
             const productLineResult = await client.query(
-                'SELECT id FROM product_lines WHERE name = $1', 
-                [data.product_line]
+                'SELECT id FROM product_lines WHERE name = $1 AND deleted_at IS NULL', 
+                [finalPayload.product_line]
             );
             
             if (productLineResult.rows.length === 0) {
                 // If the name is not found, throw an error to trigger a rollback
-                throw new Error(`Product line with name "${data.product_line}" not found. Please create the Product Line first.`);
+                throw new Error(`Product line with name "${finalPayload.product_line}" not found. Please create the Product Line first.`);
             }
             
             // Populate the product_line_id foreign key with the found ID
-            data.product_line_id = productLineResult.rows[0].id;
+            finalPayload.product_line_id = productLineResult.rows[0].id;
         }
     
         // --- CRITICAL FIX END ---
-        
-        // ************************************************
-        // ***** NEW FIX: Filter the payload to prevent 'column does not exist' errors *****
-        // ************************************************
-        const tableColumns = {
-            products: ['product_name', 'product_line', 'description', 'product_definition', 'operating_environment', 'technical_parameters', 'machines_and_tooling', 'manufacturing_strategy', 'purchasing_strategy', 'prototypes_ppap_and_sop', 'engineering_and_testing', 'capacity', 'our_advantages', 'gmdc_pct', 'product_line_id', 'customers_in_production', 'customer_in_development', 'level_of_interest_and_why', 'estimated_price_per_product', 'prod_if_customer_in_china', 'costing_data', 'product_pictures'],
-            product_lines: ['name', 'type_of_products', 'manufacturing_locations', 'design_center', 'product_line_manager', 'history', 'type_of_customers', 'metiers', 'strength', 'weakness', 'perspectives', 'compliance_resource_id', 'attachments_raw']
-        };
-
-        const finalPayload = {};
-        if (tableColumns[tableName]) {
-            // Only include keys from the data object that are present in the column list
-            Object.keys(data).forEach(key => {
-                if (tableColumns[tableName].includes(key)) {
-                    finalPayload[key] = data[key];
-                }
-            });
-        } else {
-             // Fallback for unexpected tables, though unnecessary here
-            Object.assign(finalPayload, data);
-        }
-        
-        // Remove product_line for product lines data if the payload is being explicitly filtered
-        if (tableName === 'products' && finalPayload.product_line) {
-            // The value has already been used to look up product_line_id above, 
-            // but we keep it since it's a field in the DB schema.
-        }
 
         const columns = Object.keys(finalPayload).join(', ');
         const values = Object.values(finalPayload);
@@ -135,17 +263,26 @@ exports.createItem = (tableName) => async (req, res) => {
         const userColumns = 'created_by, updated_by';
         const userPlaceholders = `$${values.length + 1}, $${values.length + 2}`;
         
-        // 2. Insert into main table
+        // 3. Insert into main table
         const insertQuery = `INSERT INTO ${tableName} (${columns}, ${userColumns}) VALUES (${placeholders}, ${userPlaceholders}) RETURNING *`;
         
         const result = await client.query(insertQuery, [...values, userId, userId]);
         const newItem = result.rows[0];
 
-        // 3. Audit Log (DUAL-WRITE)
-        await logAction('CREATE', tableName, newItem.id, userId, userName, finalPayload); // Use finalPayload for clean logs
+        // Attachment metadata (original names, sizes, checksums)
+        if (fileField && finalPayload[fileField]) {
+            await syncAttachments(client, tableName, newItem.id, fileField, parseFilePaths(finalPayload[fileField]), {
+                uploadedFiles: req.files[fileField],
+                userId
+            });
+        }
+
+        // 4. Audit Log (DUAL-WRITE) and outbox event, in the same transaction
+        await logAction('CREATE', tableName, newItem.id, userId, userName, finalPayload, client); // Use finalPayload for clean logs
+        await recordEvent(client, tableName, 'created', newItem, { actor: req.user });
 
         await client.query('COMMIT'); // Commit transaction
-        res.status(201).json(newItem);
+        res.status(201).json(presentRecord(tableName, newItem));
 
     } catch (error) {
         await client.query('ROLLBACK'); // Rollback on error
@@ -162,7 +299,7 @@ exports.createItem = (tableName) => async (req, res) => {
         }
         
         // Return the specific error from the lookup if it exists
-        if (error.message.includes('Product line with name')) {
+        if (error.message.startsWith('Product line with')) {
              return res.status(400).json({ message: error.message });
         }
         
@@ -181,8 +318,7 @@ exports.updateItem = (tableName) => async (req, res) => {
     const userName = req.user.displayName;
     
     // Determine the specific file field for the current table
-    const fileField = tableName === 'products' ? 'product_pictures' : 
-                      tableName === 'product_lines' ? 'attachments_raw' : null;
+    const fileField = fileFields[tableName] || null;
 
     // CRITICAL FIX: Arrays for files uploaded/deleted in this request
     const newlyUploadedFiles = []; 
@@ -203,97 +339,215 @@ exports.updateItem = (tableName) => async (req, res) => {
 
     // 2. Handle RETAINED paths sent from the frontend
     const retainedField = `${fileField}_retained`;
+    // The file list is only replaced when the request is about files: retained paths were sent
+    // (an empty value clears the list) or new files were uploaded. Otherwise attachments are
+    // left alone and are managed through the attachments endpoints.
+    const filesTouched = Boolean(fileField) && (retainedField in data || newlyUploadedFiles.length > 0);
     // If retained paths were sent, they are a single string or an array of strings
-    const retainedPaths = Array.isArray(data[retainedField]) ? data[retainedField] : (data[retainedField] ? [data[retainedField]] : []);
+    // Clients send back what they received, so signed links are turned back into storage keys
+    const retainedPaths = (Array.isArray(data[retainedField]) ? data[retainedField] : (data[retainedField] ? [data[retainedField]] : []))
+        .map(toStorageKey);
     
-    // Combine retained paths and newly uploaded paths
-    const finalFilePaths = [...retainedPaths, ...(data.new_files_paths || [])]; 
+    // Combine retained paths and newly uploaded paths (identical files are stored once)
+    const finalFilePaths = [...new Set([...retainedPaths, ...(data.new_files_paths || [])])]; 
     
     // The final value to be set in the database column (JSON array string)
     if (fileField) {
-        data[fileField] = JSON.stringify(finalFilePaths);
+        if (filesTouched) {
+            data[fileField] = JSON.stringify(finalFilePaths);
+        }
         delete data[retainedField]; // Remove the temporary retained field
         delete data.new_files_paths; // Remove the temporary new files field
     }
 
 
-    // Filter out server-managed columns. 
-    const allowedKeys = Object.keys(data).filter(key => 
-        !['id', 'created_at', 'created_by', 'updated_at', 'updated_by'].includes(key)
-    );
+    // 3. Validate and coerce the fields being changed (unknown and server-managed keys are dropped)
+    const { values: payload, errors } = validatePayload(tableName, data, { partial: true });
+    if (errors) {
+        newlyUploadedFiles.forEach(path => deleteFile(path));
+        return res.status(400).json({ message: 'Validation failed.', errors });
+    }
+    if (filesTouched) {
+        payload[fileField] = data[fileField];
+    }
 
-    if (allowedKeys.length === 0 && newlyUploadedFiles.length === 0) {
+    if (Object.keys(payload).length === 0 && newlyUploadedFiles.length === 0) {
         return res.status(400).json({ message: 'No valid fields or new files provided for update.' });
     }
-    
-    const setClauses = allowedKeys
-        .map((key, i) => `${key} = $${i + 1}`)
-        .join(', ');
 
-    const values = allowedKeys.map(key => data[key]);
-    
-    // Append updated_at and updated_by to the end of SET clauses
-    // userId is $N+1, id is $N+2 (where N is values.length)
-    const totalValues = [...values, userId, id]; 
-    const setClauseFinal = (setClauses ? `${setClauses}, ` : '') + `updated_at = NOW(), updated_by = $${values.length + 1}`;
-    
-    
+    // Optimistic concurrency: clients send back the ETag they loaded as If-Match
+    const ifMatch = req.get('If-Match');
+    if (!ifMatch && settings.concurrency.requireIfMatch) {
+        newlyUploadedFiles.forEach(path => deleteFile(path));
+        return res.status(428).json({ message: 'This update requires an If-Match header with the record version.' });
+    }
+
     const client = await pool.connect();
     try {
         await client.query('BEGIN'); // Start transaction
         
         // --- CRITICAL FIX START: Lookup product_line_id from name on UPDATE for 'products' table ---
-        if (tableName === 'products' && data.product_line) {
+        if (tableName === 'products' && payload.product_line) {
             const productLineResult = await client.query(
-                'SELECT id FROM product_lines WHERE name = $1', 
-                [data.product_line]
+                'SELECT id FROM product_lines WHERE name = $1 AND deleted_at IS NULL', 
+                [payload.product_line]
             );
             
             if (productLineResult.rows.length === 0) {
                 // If the name is not found, throw an error to trigger a rollback
-                throw new Error(`Product line with name "${data.product_line}" not found. Please create the Product Line first.`);
+                throw new Error(`Product line with name "${payload.product_line}" not found. Please create the Product Line first.`);
             }
             
             // Populate the product_line_id foreign key with the found ID
-            data.product_line_id = productLineResult.rows[0].id;
+            payload.product_line_id = productLineResult.rows[0].id;
+        } else if (tableName === 'products' && payload.product_line_id) {
+            // Only the id was sent: the name column follows it
+            const productLineResult = await client.query(
+                'SELECT name FROM product_lines WHERE id = $1 AND deleted_at IS NULL',
+                [payload.product_line_id]
+            );
+            if (productLineResult.rows.length === 0) {
+                throw new Error(`Product line with ID ${payload.product_line_id} not found. Please create the Product Line first.`);
+            }
+            payload.product_line = productLineResult.rows[0].name;
         }
         // --- CRITICAL FIX END ---
 
-        // 2. Get the old data for the audit log AND old file path
-        const oldDataResult = await pool.query(`SELECT * FROM ${tableName} WHERE id = $1`, [id]);
+        // 4. Get the old data for the audit log AND old file path
+        const oldDataResult = await client.query(`SELECT * FROM ${tableName} WHERE id = $1 FOR UPDATE`, [id]);
         const oldData = oldDataResult.rows[0] || {};
+
+        // Edits to a published record are merged into its pending draft, which is versioned with it
+        const reviewed = Boolean(oldDataResult.rows[0]) && !oldData.deleted_at && workflow.requiresReview(oldData);
+        const pendingDraft = reviewed ? await workflow.findPendingDraft(client, tableName, id, true) : null;
+
+        // Someone else saved the record (or its draft) since the client loaded it: reply with the current state
+        if (ifMatch && oldDataResult.rows[0] && !matchesVersion(ifMatch, oldData, pendingDraft)) {
+            await client.query('ROLLBACK');
+            newlyUploadedFiles.forEach(path => deleteFile(path));
+            return res.status(412).set('ETag', versionTag(oldData, pendingDraft)).json({
+                message: `${tableName} with ID ${id} was modified by someone else. Reload it and apply your changes again.`,
+                current: presentRecord(tableName, oldData),
+                ...(reviewed ? { pending_draft: pendingDraft } : {})
+            });
+        }
+
+        // 5. Published records are not edited directly: field changes become (or are merged into)
+        // the pending draft, which a reviewer approves or rejects. Files are not drafted: only
+        // reviewers may change them, and their changes go live at once.
+        let draft;
+        let latestDraft = pendingDraft;
+        if (reviewed) {
+            const draftValues = {};
+            Object.keys(payload).filter(key => key !== fileField).forEach(key => {
+                draftValues[key] = payload[key];
+                delete payload[key];
+            });
+
+            if (Object.keys(draftValues).length > 0) {
+                const saved = await workflow.saveDraft(client, tableName, oldData, draftValues, req.user);
+                draft = saved.draft;
+                latestDraft = draft;
+                if (draft) {
+                    await logAction('SAVE_DRAFT', tableName, id, userId, userName, { draft_id: draft.id, proposed: saved.proposed }, client);
+                }
+            }
+
+            // Forms send the retained files back with every save; an unchanged list is not an edit
+            if (fileField in payload && JSON.stringify(parseFilePaths(oldData[fileField])) === JSON.stringify(finalFilePaths)) {
+                delete payload[fileField];
+            }
+            if (fileField in payload && !workflow.canChangeFiles(req.user, tableName, oldData)) {
+                await client.query('ROLLBACK');
+                newlyUploadedFiles.forEach(path => deleteFile(path));
+                return res.status(403).json({ message: workflow.FILES_NEED_REVIEWER });
+            }
+
+            if (Object.keys(payload).length === 0) {
+                await client.query('COMMIT'); // Commit transaction
+                return res.status(draft ? 202 : 200).set('ETag', versionTag(oldData, latestDraft)).json({
+                    ...presentRecord(tableName, oldData),
+                    pending_draft: latestDraft
+                });
+            }
+        }
+
+        const allowedKeys = Object.keys(payload);
+        const setClauses = allowedKeys
+            .map((key, i) => `${key} = $${i + 1}`)
+            .join(', ');
+
+        const values = allowedKeys.map(key => payload[key]);
+
+        // Append updated_at and updated_by to the end of SET clauses
+        // userId is $N+1, id is $N+2 (where N is values.length)
+        const totalValues = [...values, userId, id];
+        let setClauseFinal = (setClauses ? `${setClauses}, ` : '') + `updated_at = NOW(), updated_by = $${values.length + 1}`;
+
+        // A rejected record goes back to review with its next edit
+        const resubmitted = settings.workflow.enabled && oldData.status === 'draft';
+        if (resubmitted) {
+            setClauseFinal += ", status = 'in_review', review_comment = NULL";
+        }
         
         // CRITICAL: Determine files to be deleted
-        if (fileField && oldData[fileField]) {
-            try {
-                // Parse the existing JSON array of paths from the database
-                const existingDbPaths = JSON.parse(oldData[fileField]); 
-                // Files to delete are those present in the DB but NOT in the final set of files being saved (finalFilePaths)
-                filesToDelete = existingDbPaths.filter(path => !finalFilePaths.includes(path));
-            } catch (e) {
-                console.error("Error parsing existing file paths from DB for update cleanup:", e);
-            }
+        if (filesTouched && oldData[fileField]) {
+            // Files to delete are those present in the DB but NOT in the final set of files being saved (finalFilePaths)
+            filesToDelete = parseFilePaths(oldData[fileField]).filter(path => !finalFilePaths.includes(path));
         }
 
-        // 3. Update main table
-        const updateQuery = `UPDATE ${tableName} SET ${setClauseFinal} WHERE id = $${values.length + 2} RETURNING *`;
-        const result = await pool.query(updateQuery, totalValues);
+        // 6. Update main table
+        // Trashed records cannot be edited until they are restored
+        const updateQuery = `UPDATE ${tableName} SET ${setClauseFinal} WHERE id = $${values.length + 2} AND deleted_at IS NULL RETURNING *`;
+        const result = await client.query(updateQuery, totalValues);
 
         if (result.rowCount === 0) {
             await client.query('ROLLBACK');
+            newlyUploadedFiles.forEach(path => deleteFile(path));
             return res.status(404).json({ message: `${tableName} with ID ${id} not found.` });
         }
-        
-        // 4. FILE CLEANUP (Success): Delete the old files that were not retained
-        if (filesToDelete.length > 0) {
-            filesToDelete.forEach(path => deleteFile(path));
+
+        // 7. Field-level diff. An update that changes nothing is rolled back and not audited.
+        const diff = diffRecords(oldData, result.rows[0], tableColumns[tableName], fileField);
+
+        if (isEmptyDiff(diff)) {
+            await client.query('ROLLBACK');
+            return res.status(200).set('ETag', versionTag(oldData)).json(presentRecord(tableName, oldData));
+        }
+        if (resubmitted) {
+            diff.status = { before: 'draft', after: 'in_review' };
         }
 
-        // 5. Audit Log (DUAL-WRITE)
-        await logAction('UPDATE', tableName, id, userId, userName, { oldData, newData: data });
+        // Attachment metadata follows the new file list
+        if (diff.attachments) {
+            await syncAttachments(client, tableName, id, fileField, finalFilePaths, {
+                uploadedFiles: (req.files && req.files[fileField]) || [],
+                userId
+            });
+        }
+
+        // A renamed product line carries its products along, in this same transaction
+        if (tableName === 'product_lines' && diff.changes.name) {
+            diff.renamed_products = await exports.moveProducts(client, id, { id: Number(id), name: result.rows[0].name }, req.user);
+        }
+
+        // 8. Audit Log (DUAL-WRITE): only the changed columns, attachments recorded separately.
+        // The outbox event is written in the same transaction.
+        await logAction('UPDATE', tableName, id, userId, userName, diff, client);
+        await recordEvent(client, tableName, 'updated', result.rows[0], { actor: req.user, changes: diff.changes });
 
         await client.query('COMMIT'); // Commit transaction
-        res.status(200).json(result.rows[0]);
+
+        // 9. FILE CLEANUP (Success): Delete the old files that were not retained
+        if (filesToDelete.length > 0) {
+            filesToDelete.forEach(path => deleteFile(path));
+        }
+
+        const updated = presentRecord(tableName, result.rows[0]);
+        if (draft !== undefined) {
+            updated.pending_draft = draft;
+        }
+        res.status(draft ? 202 : 200).set('ETag', versionTag(result.rows[0], latestDraft)).json(updated);
 
     } catch (error) {
         await client.query('ROLLBACK'); // Rollback on error
@@ -305,7 +559,7 @@ exports.updateItem = (tableName) => async (req, res) => {
         }
         
         // Return the specific error from the lookup if it exists
-        if (error.message.includes('Product line with name')) {
+        if (error.message.startsWith('Product line with')) {
              return res.status(400).json({ message: error.message });
         }
 
@@ -316,65 +570,505 @@ exports.updateItem = (tableName) => async (req, res) => {
 };
 
 // DELETE Item
+// Soft delete: the record is moved to the trash and its files are kept until it is purged.
+// A product line that still has products is only deleted with ?reassign_to=<product line id>
+// (its products move to that line) or ?cascade=true (its products go to the trash with it).
 exports.deleteItem = (tableName) => async (req, res) => {
     const { id } = req.params;
     const userId = req.user.id;
     const userName = req.user.displayName;
+    const reassignTo = req.query.reassign_to !== undefined ? Number(req.query.reassign_to) : null;
+    const cascade = req.query.cascade === 'true';
+
+    if (tableName === 'product_lines') {
+        if (reassignTo !== null && (!Number.isInteger(reassignTo) || reassignTo < 1)) {
+            return res.status(400).json({ message: 'reassign_to must be the ID of a product line.' });
+        }
+        if (reassignTo !== null && cascade) {
+            return res.status(400).json({ message: 'Use either reassign_to or cascade, not both.' });
+        }
+        if (reassignTo === Number(id)) {
+            return res.status(400).json({ message: 'Cannot reassign products to the product line being deleted.' });
+        }
+    }
 
-    // Determine the specific file field for the current table
-    const fileField = tableName === 'products' ? 'product_pictures' : 
-                      tableName === 'product_lines' ? 'attachments_raw' : null;
-    
     const client = await pool.connect();
-    let filesToDelete = null; // Changed to hold an array of paths
     try {
         await client.query('BEGIN'); // Start transaction
 
-        // 1. Get the record's file path before deletion
-        let selectQuery = `SELECT * FROM ${tableName} WHERE id = $1`;
-        
-        // FIX: Conditionally select only the relevant file field if it exists
+        // 1. Get the full record before deletion (snapshot for the audit log / revert)
+        const oldDataResult = await client.query(`SELECT * FROM ${tableName} WHERE id = $1 AND deleted_at IS NULL`, [id]);
+        const oldData = oldDataResult.rows[0];
+
+        if (!oldData) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: `${tableName} with ID ${id} not found.` });
+        }
+
+        // 2. Products that depend on a product line are reassigned, trashed with it, or block the delete
+        const details = { status: 'Record moved to trash.', oldData };
+
+        if (tableName === 'product_lines') {
+            const productsResult = await client.query(
+                'SELECT id, product_name FROM products WHERE product_line_id = $1 AND deleted_at IS NULL ORDER BY id',
+                [id]
+            );
+
+            if (reassignTo !== null) {
+                const targetResult = await client.query(
+                    'SELECT id, name FROM product_lines WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+                    [reassignTo]
+                );
+                if (targetResult.rowCount === 0) {
+                    await client.query('ROLLBACK');
+                    return res.status(400).json({ message: `Product line with ID ${reassignTo} not found.` });
+                }
+                details.reassigned_products = await exports.moveProducts(client, id, targetResult.rows[0], req.user);
+                details.reassigned_to = reassignTo;
+            } else if (cascade) {
+                details.trashed_products = await trashProducts(client, id, req.user);
+            } else if (productsResult.rowCount > 0) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({
+                    message: `Product line "${oldData.name}" still has ${productsResult.rowCount} product(s). ` +
+                        'Resend with reassign_to=<product line id> to move them, or cascade=true to move them to the trash as well.',
+                    products: productsResult.rows
+                });
+            }
+        }
+
+        // 3. Move to trash
+        await client.query(
+            `UPDATE ${tableName} SET deleted_at = NOW(), deleted_by = $1 WHERE id = $2`,
+            [userId, id]
+        );
+
+        // 4. Audit Log (DUAL-WRITE) and outbox event
+        await logAction('DELETE', tableName, id, userId, userName, details, client);
+        await recordEvent(client, tableName, 'deleted', oldData, { actor: req.user });
+
+        await client.query('COMMIT'); // Commit transaction
+        res.status(204).send(); // HTTP 204 No Content for successful deletion
+
+    } catch (error) {
+        await client.query('ROLLBACK'); // Rollback on error
+        console.error(`Error deleting ${tableName}:`, error);
+        res.status(500).json({ message: `Error deleting ${tableName}.` });
+    } finally {
+        client.release();
+    }
+};
+
+// --- TRASH BIN ---
+
+// GET Trash: records moved to the trash, most recently deleted first
+exports.getTrash = (tableName) => async (req, res) => {
+    try {
+        const listQuery = buildListQuery(tableName, req.query, {
+            ...listOptions[tableName],
+            defaultSort: '-deleted_at',
+            // Readers only see published records here too
+            conditions: ['deleted_at IS NOT NULL', ...workflow.visibilityConditions(req.user, tableName)]
+        });
+
+        const [result, countResult] = await Promise.all([
+            pool.query(listQuery.text, listQuery.params),
+            pool.query(listQuery.countText, listQuery.countParams)
+        ]);
+
+        const rows = applyPagination(req, res, listQuery, result.rows, countResult.rows[0].total);
+        res.status(200).json(rows.map(row => presentRecord(tableName, row)));
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error(`Error fetching trashed ${tableName}:`, error);
+        res.status(500).json({ message: `Error fetching trash for ${tableName}.` });
+    }
+};
+
+// RESTORE Item from the trash
+exports.restoreItem = (tableName) => async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const userName = req.user.displayName;
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN'); // Start transaction
+
+        // A product cannot come back under a product line that is still in the trash
+        if (tableName === 'products') {
+            const parentResult = await client.query(
+                `SELECT l.id, l.name FROM products p JOIN product_lines l ON l.id = p.product_line_id
+                 WHERE p.id = $1 AND p.deleted_at IS NOT NULL AND l.deleted_at IS NOT NULL`,
+                [id]
+            );
+            if (parentResult.rowCount > 0) {
+                const parent = parentResult.rows[0];
+                await client.query('ROLLBACK');
+                return res.status(409).json({ message: `Restore product line "${parent.name}" (ID ${parent.id}) from the trash first.` });
+            }
+        }
+
+        const result = await client.query(
+            `UPDATE ${tableName} SET deleted_at = NULL, deleted_by = NULL, updated_at = NOW(), updated_by = $1
+             WHERE id = $2 AND deleted_at IS NOT NULL RETURNING *`,
+            [userId, id]
+        );
+
+        if (result.rowCount === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: `${tableName} with ID ${id} not found in trash.` });
+        }
+
+        // Audit Log (RESTORE) and outbox event
+        await logAction('RESTORE', tableName, id, userId, userName, { status: 'Record restored from trash.' }, client);
+        await recordEvent(client, tableName, 'restored', result.rows[0], { actor: req.user });
+
+        await client.query('COMMIT'); // Commit transaction
+        res.status(200).json(presentRecord(tableName, result.rows[0]));
+
+    } catch (error) {
+        await client.query('ROLLBACK'); // Rollback on error
+        console.error(`Error restoring ${tableName}/${id}:`, error);
+
+        if (error.code === '23505') {
+            return res.status(409).json({ message: `A record with this unique name/ID already exists.` });
+        }
+
+        res.status(500).json({ message: `Error restoring ${tableName}.` });
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Permanently deletes one trashed record and, once committed, its files.
+ * @param {string} tableName - 'products' or 'product_lines'.
+ * @param {string|number} id - The record id.
+ * @param {object} actor - { id, displayName } of the user, or null for the retention job.
+ * @returns {Promise<object|null>} The purged row, or null if it was not in the trash.
+ */
+const purgeRecord = async (tableName, id, actor) => {
+    const fileField = fileFields[tableName] || null;
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN'); // Start transaction
+
+        const result = await client.query(
+            `DELETE FROM ${tableName} WHERE id = $1 AND deleted_at IS NOT NULL RETURNING *`,
+            [id]
+        );
+        const oldData = result.rows[0];
+
+        if (!oldData) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+
+        // Attachment rows go with the record; shared (deduplicated) files stay in storage
+        await client.query('DELETE FROM attachments WHERE table_name = $1 AND record_id = $2', [tableName, id]);
+        await client.query('DELETE FROM record_drafts WHERE table_name = $1 AND record_id = $2', [tableName, id]);
+
+        // Audit Log (PURGE) - keeps the snapshot so the record can still be reverted
+        await logAction('PURGE', tableName, id, actor ? actor.id : null, actor ? actor.displayName : 'system', {
+            status: 'Record permanently deleted.',
+            oldData
+        }, client);
+        await recordEvent(client, tableName, 'purged', oldData, { actor });
+
+        await client.query('COMMIT'); // Commit transaction
+
+        // FILE CLEANUP: only now that the record is gone for good
         if (fileField) {
-            selectQuery = `SELECT ${fileField} FROM ${tableName} WHERE id = $1`;
+            parseFilePaths(oldData[fileField]).forEach(path => deleteFile(path));
         }
-        
-        const oldDataResult = await pool.query(selectQuery, [id]);
-        const oldData = oldDataResult.rows[0];
 
-        // CRITICAL FIX: Parse the JSON array and set filesToDelete
-        if (oldData && fileField && oldData[fileField]) {
+        return oldData;
+    } catch (error) {
+        await client.query('ROLLBACK'); // Rollback on error
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// PURGE Item: permanently delete one trashed record
+exports.purgeItem = (tableName) => async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const purged = await purgeRecord(tableName, id, req.user);
+
+        if (!purged) {
+            return res.status(404).json({ message: `${tableName} with ID ${id} not found in trash.` });
+        }
+
+        res.status(204).send();
+    } catch (error) {
+        console.error(`Error purging ${tableName}/${id}:`, error);
+
+        // e.g. a product line that still has products pointing to it
+        if (error.code === '23503') {
+            return res.status(409).json({ message: `Cannot purge ${tableName} with ID ${id}: other records still reference it.` });
+        }
+
+        res.status(500).json({ message: `Error purging ${tableName}.` });
+    }
+};
+
+/**
+ * Purges every record that has been in the trash longer than the retention period.
+ * Products go first so that their product lines are no longer referenced.
+ * Used by the retention job in index.js and by POST /api/trash/purge.
+ * @param {number} retentionDays - Records deleted more than this many days ago are purged.
+ * @param {object} [actor] - { id, displayName } of the requesting admin, or null for the job.
+ * @returns {Promise<object>} Number of purged records per table, and the ids that could not be purged.
+ */
+exports.purgeExpiredTrash = async (retentionDays, actor = null) => {
+    const summary = { purged: {}, failed: {} };
+
+    for (const tableName of ['products', 'product_lines']) {
+        summary.purged[tableName] = 0;
+        summary.failed[tableName] = [];
+
+        const expired = await pool.query(
+            `SELECT id FROM ${tableName} WHERE deleted_at IS NOT NULL AND deleted_at < NOW() - make_interval(days => $1)`,
+            [retentionDays]
+        );
+
+        for (const { id } of expired.rows) {
             try {
-                filesToDelete = JSON.parse(oldData[fileField]); // filesToDelete is now an array
-            } catch (e) {
-                 console.error("Error parsing existing file paths from DB for delete cleanup:", e);
+                if (await purgeRecord(tableName, id, actor)) summary.purged[tableName] += 1;
+            } catch (error) {
+                console.error(`[TRASH] Failed to purge ${tableName}/${id}:`, error.message);
+                summary.failed[tableName].push(id);
             }
         }
+    }
 
-        // 2. Delete from main table
-        const result = await pool.query(`DELETE FROM ${tableName} WHERE id = $1`, [id]);
-        
-        if (result.rowCount === 0) {
+    return summary;
+};
+
+// PURGE Trash: admin endpoint, body { older_than_days } (defaults to TRASH_RETENTION_DAYS)
+exports.purgeTrash = async (req, res) => {
+    const olderThanDays = req.body.older_than_days !== undefined
+        ? Number(req.body.older_than_days)
+        : settings.trash.retentionDays;
+
+    if (!Number.isFinite(olderThanDays) || olderThanDays < 0) {
+        return res.status(400).json({ message: 'older_than_days must be a non-negative number.' });
+    }
+
+    try {
+        const summary = await exports.purgeExpiredTrash(olderThanDays, req.user);
+        res.status(200).json({ older_than_days: olderThanDays, ...summary });
+    } catch (error) {
+        console.error('Error purging trash:', error);
+        res.status(500).json({ message: 'Error purging trash.' });
+    }
+};
+
+// REVERT Item
+// Restores a record to its state just before the given audit entry (UPDATE, DELETE, PURGE or REVERT).
+// Trashed records are restored and purged records are re-created with their original id.
+// On a published record the restored values wait for review as its pending draft (202, like PUT);
+// re-created records start in review. Other records are reverted directly and keep their status.
+// Body: { audit_log_id, drop_missing_files? }
+exports.revertItem = (tableName) => async (req, res) => {
+    const { id } = req.params;
+    const { audit_log_id: auditLogId, drop_missing_files: dropMissingFiles } = req.body;
+    const userId = req.user.id;
+    const userName = req.user.displayName;
+    const fileField = fileFields[tableName] || null;
+
+    if (auditLogId === undefined || auditLogId === null || auditLogId === '') {
+        return res.status(400).json({ message: 'audit_log_id is required.' });
+    }
+    // audit_logs.id is a SERIAL column: anything else would fail with a cast error
+    if (!/^[1-9]\d*$/.test(String(auditLogId)) || Number(auditLogId) > 2147483647) {
+        return res.status(400).json({ message: `Invalid audit_log_id "${auditLogId}": it must be a positive integer.` });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN'); // Start transaction
+
+        // 1. Load the source audit entry, making sure it belongs to this record
+        const logResult = await client.query(
+            'SELECT * FROM audit_logs WHERE id = $1 AND table_name = $2 AND document_id::text = $3',
+            [auditLogId, tableName, String(id)]
+        );
+        const sourceLog = logResult.rows[0];
+
+        if (!sourceLog) {
             await client.query('ROLLBACK');
-            return res.status(404).json({ message: `${tableName} with ID ${id} not found.` });
+            return res.status(404).json({ message: `Audit entry ${auditLogId} not found for ${tableName} with ID ${id}.` });
         }
-        
-        // 3. FILE CLEANUP (Success)
-        // CRITICAL FIX: Iterate and delete each file in the array
-        if (Array.isArray(filesToDelete) && filesToDelete.length > 0) {
-            filesToDelete.forEach(path => deleteFile(path));
+
+        // 2. Rewind the current record through every entry from the newest back to the source one
+        const currentResult = await client.query(`SELECT * FROM ${tableName} WHERE id = $1 FOR UPDATE`, [id]);
+        const current = currentResult.rows[0] || null;
+
+        const entriesResult = await client.query(
+            'SELECT * FROM audit_logs WHERE table_name = $1 AND document_id::text = $2 AND id >= $3 ORDER BY id DESC',
+            [tableName, String(id), sourceLog.id]
+        );
+        const snapshot = rewindRecord(current, entriesResult.rows);
+
+        if (!snapshot || Object.keys(snapshot).length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: `Audit entry ${auditLogId} (${sourceLog.action}) has no earlier state to restore.` });
         }
 
-        // 4. Audit Log (DUAL-WRITE)
-        await logAction('DELETE', tableName, id, userId, userName, { status: 'Record permanently deleted.' });
+        // 3. Only restore writable columns
+        const restored = {};
+        tableColumns[tableName].forEach(column => {
+            if (column in snapshot) restored[column] = snapshot[column];
+        });
+
+        // A product cannot come back under a product line that is still in the trash
+        if (tableName === 'products') {
+            const lineId = 'product_line_id' in restored ? restored.product_line_id : current && current.product_line_id;
+            const parentResult = lineId
+                ? await client.query('SELECT id, name FROM product_lines WHERE id = $1 AND deleted_at IS NOT NULL', [lineId])
+                : { rowCount: 0 };
+            if (parentResult.rowCount > 0) {
+                const parent = parentResult.rows[0];
+                await client.query('ROLLBACK');
+                return res.status(409).json({ message: `Restore product line "${parent.name}" (ID ${parent.id}) from the trash first.` });
+            }
+        }
+
+        // 4. Check that the referenced files are still on disk
+        let droppedFiles = [];
+        if (fileField && restored[fileField]) {
+            const paths = parseFilePaths(restored[fileField]);
+            const existence = await Promise.all(paths.map(fileExists));
+            const missing = paths.filter((_, i) => !existence[i]);
+
+            if (missing.length > 0 && !dropMissingFiles) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({
+                    message: 'Some files referenced by this version no longer exist. Resend with drop_missing_files=true to restore without them.',
+                    missing_files: missing
+                });
+            }
+
+            droppedFiles = missing;
+            restored[fileField] = JSON.stringify(paths.filter(path => !missing.includes(path)));
+        }
+
+        // 5. A published record is reverted like it is edited: the restored values become its
+        // pending draft, and only reviewers may restore its files (which go live at once)
+        let draft;
+        if (current && workflow.requiresReview(current)) {
+            const filesChanged = Boolean(fileField) && fileField in restored
+                && JSON.stringify(parseFilePaths(current[fileField])) !== JSON.stringify(parseFilePaths(restored[fileField]));
+            if (filesChanged && !workflow.canChangeFiles(req.user, tableName, current)) {
+                await client.query('ROLLBACK');
+                return res.status(403).json({ message: workflow.FILES_NEED_REVIEWER });
+            }
+
+            const draftValues = { ...restored };
+            delete draftValues[fileField];
+            const saved = await workflow.saveDraft(client, tableName, current, draftValues, req.user);
+            draft = saved.draft;
+            if (draft) {
+                await logAction('SAVE_DRAFT', tableName, id, userId, userName, {
+                    draft_id: draft.id,
+                    proposed: saved.proposed,
+                    source_log_id: sourceLog.id
+                }, client);
+            }
+
+            Object.keys(restored)
+                .filter(column => column !== fileField || !filesChanged)
+                .forEach(column => delete restored[column]);
+
+            // Nothing goes live unless files are restored or the record leaves the trash
+            if (Object.keys(restored).length === 0 && !current.deleted_at) {
+                await client.query('COMMIT'); // Commit transaction
+                return res.status(draft ? 202 : 200).set('ETag', versionTag(current, draft)).json({
+                    ...presentRecord(tableName, current),
+                    pending_draft: draft || null
+                });
+            }
+        }
+
+        // 6. Update the live record, or re-create it if it was purged
+        const columns = Object.keys(restored);
+        const values = Object.values(restored);
+        let result;
+
+        if (current) {
+            const setClauses = columns.map((column, i) => `${column} = $${i + 1}`);
+            // A reverted record is always live again, even if it was in the trash
+            setClauses.push('deleted_at = NULL', 'deleted_by = NULL', 'updated_at = NOW()', `updated_by = $${values.length + 1}`);
+            result = await client.query(
+                `UPDATE ${tableName} SET ${setClauses.join(', ')} WHERE id = $${values.length + 2} RETURNING *`,
+                [...values, userId, id]
+            );
+        } else {
+            // A re-created record goes through review like a new one
+            const status = workflow.initialStatus();
+            const allColumns = ['id', ...columns, 'status', 'published_at', 'created_at', 'created_by', 'updated_by'];
+            const allValues = [
+                id, ...values, status, status === 'published' ? new Date() : null,
+                snapshot.created_at || new Date(), snapshot.created_by || userId, userId
+            ];
+            const placeholders = allValues.map((_, i) => `$${i + 1}`).join(', ');
+            result = await client.query(
+                `INSERT INTO ${tableName} (${allColumns.join(', ')}) VALUES (${placeholders}) RETURNING *`,
+                allValues
+            );
+        }
+
+        // Files that the current version references but the restored one does not are left
+        // on disk on purpose, so that this revert can itself be reverted.
+        if (fileField) {
+            await syncAttachments(client, tableName, id, fileField, parseFilePaths(result.rows[0][fileField]), { userId });
+        }
+
+        // A product line that gets its old name back renames its products too
+        let renamedProducts;
+        if (tableName === 'product_lines' && current && current.name !== result.rows[0].name) {
+            renamedProducts = await exports.moveProducts(client, id, { id: Number(id), name: result.rows[0].name }, req.user);
+        }
+
+        // 7. Audit Log (REVERT) - keeps oldData so that a revert can be reverted too
+        await logAction('REVERT', tableName, id, userId, userName, {
+            source_log_id: sourceLog.id,
+            source_action: sourceLog.action,
+            recreated: !current,
+            dropped_files: droppedFiles,
+            renamed_products: renamedProducts,
+            oldData: current,
+            newData: result.rows[0]
+        }, client);
+        const revertChanges = current ? diffRecords(current, result.rows[0], tableColumns[tableName], fileField).changes : undefined;
+        await recordEvent(client, tableName, current ? 'updated' : 'created', result.rows[0], { actor: req.user, changes: revertChanges });
 
         await client.query('COMMIT'); // Commit transaction
-        res.status(204).send(); // HTTP 204 No Content for successful deletion
+
+        const reverted = presentRecord(tableName, result.rows[0]);
+        if (draft !== undefined) {
+            reverted.pending_draft = draft;
+        }
+        res.status(draft ? 202 : 200).json(reverted);
 
     } catch (error) {
         await client.query('ROLLBACK'); // Rollback on error
-        console.error(`Error deleting ${tableName}:`, error);
-        res.status(500).json({ message: `Error deleting ${tableName}.` });
+        console.error(`Error reverting ${tableName}/${id}:`, error);
+
+        // e.g. the product line a product pointed to has since been deleted
+        if (error.code === '23503' || error.code === '23505') {
+            return res.status(409).json({ message: `Cannot restore this version: ${error.detail || error.message}` });
+        }
+
+        res.status(500).json({ message: `Error reverting ${tableName}.` });
     } finally {
         client.release();
     }
-};
\ No newline at end of file
+};
@@ -0,0 +1,147 @@
+// exportController.js
+
+const ExcelJS = require('exceljs');
+const pool = require('../config/db');
+const { fileFields, listOptions } = require('../config/tables');
+const { buildListQuery } = require('../utils/listQuery');
+const { visibilityConditions } = require('../utils/workflow');
+const { fileUrl, parseFilePaths } = require('./fileController');
+const { logAction } = require('./dataController');
+const settings = require('../config/settings');
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Pagination does not apply to exports: every matching row is exported
+const IGNORED_PARAMS = ['format', 'page', 'limit', 'cursor'];
+
+// Trash bookkeeping is not useful in a spreadsheet
+const HIDDEN_COLUMNS = ['deleted_at', 'deleted_by'];
+
+// Exported files are read long after the request, so their signed links live longer
+const EXPORT_LINK_TTL = settings.files.exportUrlTtlHours * 3600;
+
+const formatValue = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+};
+
+const escapeCsv = (value) => {
+    let text = String(formatValue(value));
+    // Stop spreadsheet apps from evaluating cells as formulas (CSV injection)
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Loads the rows to export, honouring the same filters, sort and fields as the list endpoint.
+ * Products get a resolved `product_line_name` column.
+ * @returns {Promise<{ columns: string[], rows: object[] }>}
+ */
+const loadExportRows = async (req, tableName) => {
+    const query = { ...req.query };
+    IGNORED_PARAMS.forEach(param => delete query[param]);
+
+    const options = listOptions[tableName];
+    const requestedFields = query.fields ? String(query.fields).split(',').map(f => f.trim()).filter(Boolean) : null;
+    let columns = requestedFields || options.columns.filter(c => !HIDDEN_COLUMNS.includes(c));
+
+    // Products get the name of their product line next to product_line / product_line_id
+    const resolveProductLines = tableName === 'products' && (columns.includes('product_line') || columns.includes('product_line_id'));
+    if (resolveProductLines && !columns.includes('product_line_id')) {
+        query.fields = [...columns, 'product_line_id'].join(',');
+    }
+
+    const listQuery = buildListQuery(tableName, query, {
+        ...options,
+        conditions: [...options.conditions, ...visibilityConditions(req.user, tableName)]
+    });
+    const result = await pool.query(listQuery.text, listQuery.params);
+    let rows = result.rows;
+
+    if (resolveProductLines) {
+        const productLines = await pool.query('SELECT id, name FROM product_lines');
+        const names = new Map(productLines.rows.map(line => [line.id, line.name]));
+        rows = rows.map(row => ({ ...row, product_line_name: names.get(row.product_line_id) || '' }));
+
+        const anchor = columns.includes('product_line') ? 'product_line' : 'product_line_id';
+        const index = columns.indexOf(anchor) + 1;
+        columns = [...columns.slice(0, index), 'product_line_name', ...columns.slice(index)];
+    }
+
+    // File columns become absolute (signed) download links, one per line
+    const fileField = fileFields[tableName];
+    if (fileField && columns.includes(fileField)) {
+        rows = rows.map(row => ({
+            ...row,
+            [fileField]: parseFilePaths(row[fileField]).map(path => fileUrl(req, path, EXPORT_LINK_TTL)).join('\n')
+        }));
+    }
+
+    return { columns, rows };
+};
+
+const writeCsv = (res, columns, rows) => {
+    const lines = [columns.map(escapeCsv).join(',')];
+    rows.forEach(row => lines.push(columns.map(column => escapeCsv(row[column])).join(',')));
+    // UTF-8 BOM so that Excel detects the encoding
+    res.send(`\uFEFF${lines.join('\r\n')}\r\n`);
+};
+
+const writeXlsx = async (res, tableName, columns, rows) => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet(tableName);
+
+    sheet.columns = columns.map(column => ({ header: column, key: column, width: Math.max(column.length + 2, 15) }));
+    rows.forEach(row => {
+        const values = {};
+        columns.forEach(column => { values[column] = formatValue(row[column]); });
+        sheet.addRow(values);
+    });
+
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+    await workbook.xlsx.write(res);
+    res.end();
+};
+
+// EXPORT Items as CSV or XLSX
+// GET /api/products/export?format=xlsx&product_line_id=3&sort=product_name
+exports.exportItems = (tableName) => async (req, res) => {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!FORMATS[format]) {
+        return res.status(400).json({ message: `Unsupported export format "${format}". Use csv or xlsx.` });
+    }
+
+    try {
+        const { columns, rows } = await loadExportRows(req, tableName);
+
+        const date = new Date().toISOString().slice(0, 10);
+        res.set('Content-Type', FORMATS[format].contentType);
+        res.set('Content-Disposition', `attachment; filename="${tableName}-${date}.${FORMATS[format].extension}"`);
+
+        if (format === 'csv') {
+            writeCsv(res, columns, rows);
+        } else {
+            await writeXlsx(res, tableName, columns, rows);
+        }
+
+        // Audit Log (EXPORT)
+        const filters = { ...req.query };
+        delete filters.format;
+        await logAction('EXPORT', tableName, null, req.user.id, req.user.displayName, { format, rows: rows.length, filters });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error(`Error exporting ${tableName}:`, error);
+        if (!res.headersSent) {
+            res.status(500).json({ message: `Error exporting ${tableName}.` });
+        }
+    }
+};
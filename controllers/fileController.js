@@ -1,28 +1,74 @@
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
-
-// 1. Configure Storage
-// Files will be stored in a 'uploads' directory at the root of the project
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        const uploadPath = path.join(__dirname, '..', 'uploads');
-        // Ensure the directory exists
-        if (!fs.existsSync(uploadPath)) {
-            fs.mkdirSync(uploadPath);
-        }
-        cb(null, uploadPath);
-    },
-    filename: (req, file, cb) => {
-        // Use fieldname-timestamp-originalname to ensure unique filenames
-        cb(null, file.fieldname + '-' + Date.now() + path.extname(file.originalname));
-    }
-});
+const crypto = require('crypto');
+const mime = require('mime-types');
+const sharp = require('sharp');
+const pool = require('../config/db');
+const settings = require('../config/settings');
+const authenticate = require('../middleware/authMiddleware');
+// Local disk or S3-compatible backend, chosen by STORAGE_BACKEND (see storage/index.js)
+const storage = require('../storage');
+
+// 1. Storage Keys
+// Files are stored under 'uploads/<fieldname>-<timestamp>-<random>.<ext>' whatever the backend,
+// so the JSON path arrays in the database are valid storage keys.
+const buildKey = (file) =>
+    `uploads/${file.fieldname}-${Date.now()}-${crypto.randomBytes(3).toString('hex')}${path.extname(file.originalname).toLowerCase()}`;
+
+const isUploadKey = (relativePath) =>
+    typeof relativePath === 'string' && relativePath.startsWith('uploads/') && !relativePath.includes('..');
+
+// 2. Image Variants
+// Uploaded pictures get web-optimised copies stored next to the original:
+// 'uploads/product_pictures-123.jpg' -> 'uploads/product_pictures-123-thumb.webp', '...-medium.webp'
+const IMAGE_VARIANTS = {
+    thumb: 320,  // max width in px, for list cards
+    medium: 1024 // max width in px, for detail pages
+};
+const RESIZABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/tiff'];
+
+/**
+ * Path of the resized copy of an uploaded image.
+ * @param {string} relativePath - The original (e.g., 'uploads/filename.jpg').
+ * @param {string} size - A key of IMAGE_VARIANTS.
+ * @returns {string} e.g. 'uploads/filename-thumb.webp'
+ */
+const variantPath = (relativePath, size) => {
+    const { dir, name } = path.posix.parse(relativePath);
+    return `${dir}/${name}-${size}.webp`;
+};
+
+const isResizable = (relativePath) => RESIZABLE_TYPES.includes(mime.lookup(relativePath));
+
+const streamToBuffer = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+};
+
+/**
+ * Writes every variant of an image. Images are never enlarged and EXIF rotation is applied.
+ * @param {string} relativePath - The original (e.g., 'uploads/filename.jpg').
+ * @param {Buffer} buffer - The original image.
+ */
+const createVariants = async (relativePath, buffer) => {
+    await Promise.all(Object.keys(IMAGE_VARIANTS).map(async (size) => {
+        const resized = await sharp(buffer)
+            .rotate()
+            .resize({ width: IMAGE_VARIANTS[size], withoutEnlargement: true })
+            .webp({ quality: 80 })
+            .toBuffer();
+        await storage.put(variantPath(relativePath, size), resized, 'image/webp');
+    }));
+};
 
-// 2. Multer Upload Middleware
-// Configured to handle 'product_pictures' (Products) and 'attachments_raw' (Product Lines)
-exports.upload = multer({
-    storage: storage,
+// 3. Multer Upload Middleware
+// Configured to handle 'product_pictures' (Products) and 'attachments_raw' (Product Lines).
+// Files are buffered in memory (10MB max each) and then written to the storage backend.
+const uploadFields = multer({
+    storage: multer.memoryStorage(),
+    // Keep non-ASCII original filenames intact (stored in the attachments table)
+    defParamCharset: 'utf8',
     limits: { fileSize: 10 * 1024 * 1024 }, // 10MB file size limit
     fileFilter: (req, file, cb) => {
         // Ensure only files from the expected fields are accepted
@@ -40,32 +86,375 @@ exports.upload = multer({
 ]);
 
 /**
- * Helper function to handle the deletion of a file from the file system.
- * @param {string} relativePath - The path (e.g., 'uploads/filename.ext') to delete.
+ * Finds an already stored file with the same content.
+ * @param {string} checksum - SHA-256 of the file content (hex).
+ * @returns {Promise<string|null>} Its storage key, if it is still in storage.
  */
-exports.deleteFile = (relativePath) => {
-    if (!relativePath || typeof relativePath !== 'string' || !relativePath.startsWith('uploads/')) return;
-    
-    // Construct the absolute path: project_root/uploads/filename.ext
-    const filePath = path.join(__dirname, '..', relativePath);
-
-    // Check if file exists before attempting to delete (to prevent E_NOENT errors)
-    fs.stat(filePath, (err, stats) => {
-        if (err) {
-            if (err.code === 'ENOENT') {
-                 console.warn(`File deletion warning: File not found on disk at ${filePath}. Skipping.`);
-            } else {
-                console.warn(`File deletion warning: Failed to stat file at ${filePath}. Error:`, err);
+const findStoredDuplicate = async (checksum) => {
+    const result = await pool.query('SELECT storage_key FROM attachments WHERE checksum = $1 ORDER BY id LIMIT 1', [checksum]);
+    const key = result.rows[0] && result.rows[0].storage_key;
+    return key && (await storage.exists(key)) ? key : null;
+};
+
+// Runs after multer: stores every file and sets `file.filename` so that controllers keep
+// building 'uploads/<filename>' paths. Files whose content is already stored (same SHA-256)
+// reuse the existing key instead of being written again. A failed resize only costs the
+// variants, never the upload. Metadata for the attachments table is kept on each file object.
+const storeUploads = async (req, res, next) => {
+    const files = req.files ? Object.values(req.files).flat() : [];
+    const stored = [];
+    const storedThisRequest = new Map(); // checksum -> key, for identical files in one request
+
+    try {
+        for (const file of files) {
+            file.checksum = crypto.createHash('sha256').update(file.buffer).digest('hex');
+
+            let key = storedThisRequest.get(file.checksum) || (await findStoredDuplicate(file.checksum));
+            file.deduplicated = Boolean(key);
+
+            if (!key) {
+                key = buildKey(file);
+                await storage.put(key, file.buffer, file.mimetype);
+                stored.push(key);
+
+                if (isResizable(key)) {
+                    try {
+                        await createVariants(key, file.buffer);
+                    } catch (error) {
+                        console.warn(`Image variant warning: Failed to resize ${key}. Error:`, error.message);
+                    }
+                }
+            }
+
+            storedThisRequest.set(file.checksum, key);
+            file.filename = path.posix.basename(key);
+            file.storageKey = key;
+            // The content is in storage now; do not keep it in memory for the rest of the request
+            file.buffer = null;
+        }
+        next();
+    } catch (error) {
+        console.error('File upload error: Failed to store uploaded files. Error:', error);
+        stored.forEach(key => exports.deleteFile(key));
+        res.status(502).json({ message: 'Uploaded files could not be stored. Please try again.' });
+    }
+};
+
+exports.upload = [uploadFields, storeUploads];
+
+// 4. Signed Links
+// Files are only served to authenticated users, or through a short-lived signed link
+// ('uploads/<name>?expires=<unix seconds>&sig=<hmac>') for clients that cannot send an
+// Authorization header, such as the Google Docs viewer or an <img> tag.
+// A random fallback only suits a single development instance: in production links signed by one
+// instance would fail on the others and after every restart.
+if (!settings.files.urlSecret && process.env.NODE_ENV === 'production') {
+    throw new Error('FILE_URL_SECRET must be set when NODE_ENV=production.');
+}
+const URL_SECRET = settings.files.urlSecret || crypto.randomBytes(32).toString('hex');
+if (!settings.files.urlSecret) {
+    console.warn('[FILES] FILE_URL_SECRET is not set: signed file links will only be valid on this instance until it restarts.');
+}
+
+const signature = (relativePath, expires) =>
+    crypto.createHmac('sha256', URL_SECRET).update(`${relativePath}\n${expires}`).digest('base64url');
+
+/**
+ * Appends an expiring signature to an uploaded file path.
+ * @param {string} relativePath - The path (e.g., 'uploads/filename.ext').
+ * @param {number} [ttlSeconds] - Link lifetime (defaults to FILE_URL_TTL_MINUTES).
+ * @returns {string} e.g. 'uploads/filename.ext?expires=1760000000&sig=...'
+ */
+exports.signPath = (relativePath, ttlSeconds = settings.files.urlTtlMinutes * 60) => {
+    if (!isUploadKey(relativePath)) return relativePath;
+    const expires = Math.floor(Date.now() / 1000) + Math.round(ttlSeconds);
+    return `${relativePath}?expires=${expires}&sig=${signature(relativePath, expires)}`;
+};
+
+const isValidSignature = (relativePath, expires, sig) => {
+    if (typeof sig !== 'string' || !/^\d+$/.test(String(expires))) return false;
+    if (Number(expires) < Date.now() / 1000) return false;
+
+    const expected = Buffer.from(signature(relativePath, expires));
+    const given = Buffer.from(sig);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+/**
+ * Middleware for GET '/uploads/:filename': accepts a valid signed link, otherwise
+ * falls back to the usual Bearer token check.
+ */
+exports.requireFileAccess = (req, res, next) => {
+    const { expires, sig } = req.query;
+    if (expires === undefined && sig === undefined) {
+        return authenticate(req, res, next);
+    }
+
+    const relativePath = `uploads/${path.posix.basename(req.params.filename)}`;
+    if (!isValidSignature(relativePath, expires, sig)) {
+        return res.status(403).json({ message: 'This file link is invalid or has expired.' });
+    }
+    next();
+};
+
+/**
+ * Returns a copy of a record whose file column lists signed links instead of raw paths.
+ * The column keeps its JSON array string format.
+ * @param {object} record - A row of 'products' or 'product_lines'.
+ * @param {string|null} field - 'product_pictures' or 'attachments_raw'.
+ * @returns {object}
+ */
+exports.signFileField = (record, field) => {
+    if (!record || !field || !record[field]) return record;
+    return { ...record, [field]: JSON.stringify(exports.parseFilePaths(record[field]).map(relativePath => exports.signPath(relativePath))) };
+};
+
+/**
+ * Turns a file reference sent back by a client (raw path, signed path or absolute link)
+ * into its storage key, e.g. 'https://host/uploads/a.pdf?expires=...&sig=...' -> 'uploads/a.pdf'.
+ * @param {string} value
+ * @returns {string}
+ */
+exports.toStorageKey = (value) => {
+    if (typeof value !== 'string') return value;
+    const match = value.match(/(?:^|\/)(uploads\/[^/?#]+)(?:[?#].*)?$/);
+    if (!match) return value;
+    try {
+        return decodeURIComponent(match[1]);
+    } catch (error) {
+        // Malformed escape such as '%ZZ': not a link we issued, kept as sent
+        return match[1];
+    }
+};
+
+/**
+ * Route handler for GET '/uploads/:filename': streams a file from the storage backend.
+ * '?size=thumb' or '?size=medium' serves a resized copy of a picture; variants missing for
+ * pictures uploaded before they existed are generated on first request.
+ * Non-image files and '?size=original' are served as-is.
+ */
+exports.serveFile = async (req, res) => {
+    // 'uploads/' is flat, so only the file name is kept (no path traversal)
+    const relativePath = `uploads/${path.posix.basename(req.params.filename)}`;
+    const { size } = req.query;
+
+    if (size && size !== 'original' && !IMAGE_VARIANTS[size]) {
+        return res.status(400).json({ message: `Unknown size "${size}". Use ${Object.keys(IMAGE_VARIANTS).join(', ')} or original.` });
+    }
+
+    try {
+        let key = relativePath;
+
+        if (size && size !== 'original' && isResizable(relativePath)) {
+            const variant = variantPath(relativePath, size);
+            if (!(await storage.exists(variant))) {
+                const original = await storage.get(relativePath);
+                if (original) {
+                    try {
+                        await createVariants(relativePath, await streamToBuffer(original.stream));
+                    } catch (error) {
+                        console.warn(`Image variant warning: Failed to resize ${relativePath}. Error:`, error.message);
+                    }
+                }
             }
+            if (await storage.exists(variant)) key = variant;
+        }
+
+        // Correct MIME types for the Google Viewer
+        res.set('Content-Type', mime.lookup(key) || 'application/octet-stream');
+        // Confidential files: browsers may cache them, shared proxies may not
+        res.set('Cache-Control', 'private, max-age=300');
+        if (!(await exports.streamFile(res, key))) {
+            res.removeHeader('Content-Type');
+            return res.status(404).json({ message: 'File not found.' });
+        }
+    } catch (error) {
+        console.error(`Error serving file ${relativePath}:`, error);
+        res.status(500).json({ message: 'Error reading file.' });
+    }
+};
+
+// 5. Spreadsheet Upload Middleware (bulk import)
+// Kept in memory: the file is parsed and discarded, never stored in 'uploads/'
+const IMPORT_EXTENSIONS = ['.csv', '.xlsx'];
+
+exports.importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 10 * 1024 * 1024 }, // 10MB file size limit
+    fileFilter: (req, file, cb) => {
+        if (IMPORT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+            cb(null, true);
+        } else {
+            cb(new Error(`Unsupported import file: ${file.originalname}. Use .csv or .xlsx.`), false);
+        }
+    }
+}).single('file');
+
+/**
+ * Parses the JSON array of paths stored in 'product_pictures' / 'attachments_raw'.
+ * @param {string|Array} value - The raw column value.
+ * @returns {string[]} The paths, or an empty array if the value is empty or malformed.
+ */
+exports.parseFilePaths = (value) => {
+    if (!value) return [];
+    if (Array.isArray(value)) return value;
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+        console.error('Error parsing stored file paths:', e);
+        return [];
+    }
+};
+
+/**
+ * Builds the absolute download link of an uploaded file.
+ * Uses the storage backend's public URL when it has one (a public bucket), otherwise a signed
+ * link to the API's /uploads route on PUBLIC_BASE_URL (e.g. behind a proxy) or on the host
+ * of the current request.
+ * @param {object} req - Express request.
+ * @param {string} relativePath - The path (e.g., 'uploads/filename.ext').
+ * @param {number} [ttlSeconds] - Lifetime of the signed link.
+ * @returns {string} e.g. 'https://product-db-back.azurewebsites.net/uploads/filename.ext?expires=...&sig=...'
+ */
+exports.fileUrl = (req, relativePath, ttlSeconds) => {
+    const directUrl = storage.url(relativePath);
+    if (directUrl) return directUrl;
+
+    const baseUrl = settings.publicBaseUrl || `${req.protocol}://${req.get('host')}`;
+    return `${baseUrl.replace(/\/$/, '')}/${exports.signPath(relativePath, ttlSeconds)}`;
+};
+
+/**
+ * Checks whether an uploaded file is still present in storage.
+ * @param {string} relativePath - The path (e.g., 'uploads/filename.ext') to check.
+ * @returns {Promise<boolean>}
+ */
+exports.fileExists = async (relativePath) => {
+    if (!isUploadKey(relativePath)) return false;
+    try {
+        return await storage.exists(relativePath);
+    } catch (error) {
+        console.warn(`File check warning: Failed to check ${relativePath}. Error:`, error.message);
+        return false;
+    }
+};
+
+/**
+ * Helper function to handle the deletion of a file (and its image variants) from storage.
+ * Deduplicated files can be shared by several records, so a file that is still referenced
+ * by a row of the attachments table is kept. Callers must remove their own attachment rows
+ * (and commit) first.
+ * Fire-and-forget: errors are logged, never thrown.
+ * @param {string} relativePath - The path (e.g., 'uploads/filename.ext') to delete.
+ * @returns {Promise<void>}
+ */
+exports.deleteFile = async (relativePath) => {
+    if (!isUploadKey(relativePath)) return;
+
+    try {
+        const references = await pool.query('SELECT 1 FROM attachments WHERE storage_key = $1 LIMIT 1', [relativePath]);
+        if (references.rowCount > 0) {
+            console.log(`File kept: ${relativePath} is still attached to another record.`);
             return;
         }
 
-        fs.unlink(filePath, (err) => {
-            if (err) {
-                console.error(`File deletion error: Failed to delete file at ${filePath}. Error:`, err);
-            } else {
-                console.log(`Successfully deleted file: ${filePath}`);
+        const removed = await storage.remove(relativePath);
+        if (removed) {
+            console.log(`Successfully deleted file: ${relativePath}`);
+        } else {
+            console.warn(`File deletion warning: File not found in storage at ${relativePath}. Skipping.`);
+        }
+    } catch (error) {
+        console.error(`File deletion error: Failed to delete file at ${relativePath}. Error:`, error);
+        return;
+    }
+
+    // Remove the resized copies too (most files, e.g. PDFs, have none)
+    if (isResizable(relativePath)) {
+        await Promise.all(Object.keys(IMAGE_VARIANTS).map(size =>
+            storage.remove(variantPath(relativePath, size)).catch(error => {
+                console.error(`File deletion error: Failed to delete variant ${size} of ${relativePath}. Error:`, error);
+            })
+        ));
+    }
+};
+
+/**
+ * Brings the attachments table in line with a record's JSON path array, which stays the
+ * source of truth for which files a record has and in which order.
+ * Rows are added for new paths (with the metadata of files uploaded in this request, or
+ * copied from another row sharing the same key), removed for paths no longer listed, and
+ * their positions follow the array order.
+ * @param {object} client - Transaction client.
+ * @param {string} tableName - 'products' or 'product_lines'.
+ * @param {string|number} recordId - The owning record.
+ * @param {string} field - 'product_pictures' or 'attachments_raw'.
+ * @param {string[]} paths - The record's file paths, in display order.
+ * @param {object} [options]
+ * @param {object[]} [options.uploadedFiles] - Multer files handled by storeUploads in this request.
+ * @param {number} [options.userId] - Uploader recorded on new rows.
+ * @returns {Promise<void>}
+ */
+exports.syncAttachments = async (client, tableName, recordId, field, paths, { uploadedFiles = [], userId = null } = {}) => {
+    const existing = await client.query(
+        'SELECT id, storage_key, position FROM attachments WHERE table_name = $1 AND record_id = $2 AND field = $3',
+        [tableName, recordId, field]
+    );
+    const rowsByKey = new Map(existing.rows.map(row => [row.storage_key, row]));
+    const filesByKey = new Map(uploadedFiles.map(file => [file.storageKey, file]));
+
+    const removedIds = existing.rows.filter(row => !paths.includes(row.storage_key)).map(row => row.id);
+    if (removedIds.length > 0) {
+        await client.query('DELETE FROM attachments WHERE id = ANY($1)', [removedIds]);
+    }
+
+    for (const [position, key] of paths.entries()) {
+        const row = rowsByKey.get(key);
+        if (row) {
+            if (row.position !== position) {
+                await client.query('UPDATE attachments SET position = $1 WHERE id = $2', [position, row.id]);
             }
-        });
+            continue;
+        }
+
+        const file = filesByKey.get(key);
+        let metadata;
+        if (file) {
+            metadata = [file.originalname, file.mimetype, file.size, file.checksum];
+        } else {
+            const shared = await client.query(
+                'SELECT original_name, mime_type, size_bytes, checksum FROM attachments WHERE storage_key = $1 ORDER BY id LIMIT 1',
+                [key]
+            );
+            metadata = shared.rows[0]
+                ? [shared.rows[0].original_name, shared.rows[0].mime_type, shared.rows[0].size_bytes, shared.rows[0].checksum]
+                : [path.posix.basename(key), mime.lookup(key) || null, null, null];
+        }
+
+        await client.query(
+            `INSERT INTO attachments (table_name, record_id, field, storage_key, original_name, mime_type, size_bytes, checksum, position, uploaded_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+            [tableName, recordId, field, key, ...metadata, position, userId]
+        );
+    }
+};
+
+/**
+ * Streams a stored file to the response (used for attachment downloads).
+ * @param {object} res - Express response.
+ * @param {string} relativePath - The path (e.g., 'uploads/filename.ext').
+ * @returns {Promise<boolean>} false if the file is not in storage.
+ */
+exports.streamFile = async (res, relativePath) => {
+    const file = await storage.get(relativePath);
+    if (!file) return false;
+
+    if (file.size !== undefined) res.set('Content-Length', String(file.size));
+    file.stream.on('error', (error) => {
+        console.error(`File stream error: Failed to read ${relativePath}. Error:`, error);
+        res.destroy(error);
     });
-};
\ No newline at end of file
+    file.stream.pipe(res);
+    return true;
+};
@@ -0,0 +1,226 @@
+// importController.js
+
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const pool = require('../config/db');
+const { tableColumns, fileFields } = require('../config/tables');
+const { validatePayload } = require('../utils/validate');
+const { initialStatus } = require('../utils/workflow');
+const { recordEvent } = require('../utils/outbox');
+const { logAction } = require('./dataController');
+
+// Keeps a single import (and its transaction) to a reasonable size
+const MAX_ROWS = 5000;
+
+// Spreadsheet headers that map to a column under another name (e.g. from our own export)
+const HEADER_ALIASES = {
+    product_line_name: 'product_line'
+};
+
+// 'Product Name ' -> 'product_name'
+const normaliseHeader = (header) => String(header || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+const cellValue = (cell) => {
+    const { value } = cell;
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    // Rich text, hyperlinks and formulas
+    if (typeof value === 'object') return cell.text;
+    return value;
+};
+
+/**
+ * Reads the first worksheet of an uploaded CSV or XLSX file.
+ * @param {object} file - The multer file (memory storage).
+ * @returns {Promise<ExcelJS.Worksheet>}
+ */
+const readWorksheet = async (file) => {
+    const workbook = new ExcelJS.Workbook();
+    if (path.extname(file.originalname).toLowerCase() === '.csv') {
+        return workbook.csv.read(Readable.from(file.buffer));
+    }
+    await workbook.xlsx.load(file.buffer);
+    return workbook.worksheets[0];
+};
+
+/**
+ * Maps the header row to table columns and turns every following row into a payload.
+ * File columns and the server-resolved product_line_id are never imported.
+ * @returns {{ rows: Array<{ row: number, data: object }>, mapped: string[], ignored: string[] }}
+ */
+const parseSheet = (worksheet, tableName) => {
+    const fileField = fileFields[tableName];
+    const importable = tableColumns[tableName].filter(column => column !== fileField && column !== 'product_line_id');
+
+    const headerMap = {};
+    const ignored = [];
+    worksheet.getRow(1).eachCell((cell, colNumber) => {
+        const header = normaliseHeader(cell.text);
+        const column = HEADER_ALIASES[header] || header;
+        if (importable.includes(column) && !Object.values(headerMap).includes(column)) {
+            headerMap[colNumber] = column;
+        } else if (header) {
+            ignored.push(cell.text);
+        }
+    });
+
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) return;
+        const data = {};
+        Object.keys(headerMap).forEach(colNumber => {
+            data[headerMap[colNumber]] = cellValue(row.getCell(Number(colNumber)));
+        });
+        // Skip rows that are entirely blank
+        if (Object.values(data).some(value => String(value).trim() !== '')) {
+            rows.push({ row: rowNumber, data });
+        }
+    });
+
+    return { rows, mapped: Object.values(headerMap), ignored };
+};
+
+// IMPORT Products from a spreadsheet
+// POST /api/products/import (multipart, field 'file'), ?dry_run=true to validate without saving.
+// Every row is validated like POST /api/products and product_line names are resolved to ids.
+// A committed import runs in one transaction: either every row is created or none is.
+exports.importProducts = async (req, res) => {
+    const tableName = 'products';
+    const dryRun = ['true', '1'].includes(String(req.query.dry_run || req.body.dry_run || '').toLowerCase());
+    const userId = req.user.id;
+    const userName = req.user.displayName;
+
+    if (!req.file) {
+        return res.status(400).json({ message: 'A .csv or .xlsx file is required in the "file" field.' });
+    }
+
+    let parsed;
+    try {
+        const worksheet = await readWorksheet(req.file);
+        if (!worksheet) throw new Error('The spreadsheet has no worksheet.');
+        parsed = parseSheet(worksheet, tableName);
+    } catch (error) {
+        console.error('Error reading import file:', error);
+        return res.status(400).json({ message: `Could not read ${req.file.originalname}: ${error.message}` });
+    }
+
+    const { rows, mapped, ignored } = parsed;
+    const report = {
+        dry_run: dryRun,
+        file: req.file.originalname,
+        total_rows: rows.length,
+        mapped_columns: mapped,
+        ignored_columns: ignored,
+        errors: []
+    };
+
+    if (rows.length === 0) {
+        return res.status(400).json({ ...report, message: 'The file contains no data rows.' });
+    }
+    if (rows.length > MAX_ROWS) {
+        return res.status(400).json({ ...report, message: `Imports are limited to ${MAX_ROWS} rows.` });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN'); // Start transaction
+
+        // 1. Validate every row and resolve product line names (same rules as createItem)
+        const lines = await client.query('SELECT id, name FROM product_lines WHERE deleted_at IS NULL');
+        const productLineIds = new Map(lines.rows.map(line => [line.name, line.id]));
+
+        const payloads = [];
+        rows.forEach(({ row, data }) => {
+            const { values, errors } = validatePayload(tableName, data);
+            const rowErrors = errors || {};
+            // Imported products wait for review like the ones created through the API
+            values.status = initialStatus();
+
+            if (values.product_line) {
+                if (productLineIds.has(values.product_line)) {
+                    values.product_line_id = productLineIds.get(values.product_line);
+                } else {
+                    rowErrors.product_line = [`product line "${values.product_line}" not found`];
+                }
+            }
+
+            if (Object.keys(rowErrors).length > 0) {
+                report.errors.push({ row, errors: rowErrors });
+            } else {
+                payloads.push({ row, values });
+            }
+        });
+
+        report.valid_rows = payloads.length;
+
+        if (report.errors.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(dryRun ? 200 : 400).json({
+                ...report,
+                message: `${report.errors.length} row(s) have errors. Nothing was imported.`
+            });
+        }
+
+        // 2. Insert every row. A dry run goes through the same inserts so that database
+        // constraints (e.g. duplicate names) are reported too, then rolls back.
+        const createdIds = [];
+        for (const { row, values } of payloads) {
+            const columns = Object.keys(values);
+            const params = [...Object.values(values), userId, userId];
+            const placeholders = params.map((_, i) => `$${i + 1}`).join(', ');
+
+            try {
+                await client.query('SAVEPOINT import_row');
+                const result = await client.query(
+                    `INSERT INTO ${tableName} (${columns.join(', ')}, created_by, updated_by) VALUES (${placeholders}) RETURNING *`,
+                    params
+                );
+                await client.query('RELEASE SAVEPOINT import_row');
+                createdIds.push(result.rows[0].id);
+
+                if (!dryRun) {
+                    // Audit Log (CREATE) per row, inside the import transaction
+                    await logAction('CREATE', tableName, result.rows[0].id, userId, userName, { ...values, import_file: req.file.originalname }, client);
+                    await recordEvent(client, tableName, 'created', result.rows[0], { actor: req.user });
+                }
+            } catch (error) {
+                await client.query('ROLLBACK TO SAVEPOINT import_row');
+                const message = error.code === '23505' ? 'a record with this unique name already exists' : error.message;
+                report.errors.push({ row, errors: { _row: [message] } });
+            }
+        }
+
+        if (report.errors.length > 0) {
+            await client.query('ROLLBACK');
+            report.valid_rows = payloads.length - report.errors.length;
+            return res.status(dryRun ? 200 : 400).json({
+                ...report,
+                message: `${report.errors.length} row(s) have errors. Nothing was imported.`
+            });
+        }
+
+        if (dryRun) {
+            await client.query('ROLLBACK');
+            return res.status(200).json({ ...report, message: `Dry run: ${payloads.length} row(s) can be imported.` });
+        }
+
+        // 3. Audit Log (IMPORT) summary for the whole batch
+        await logAction('IMPORT', tableName, null, userId, userName, {
+            file: req.file.originalname,
+            rows: createdIds.length,
+            ids: createdIds,
+            ignored_columns: ignored
+        }, client);
+
+        await client.query('COMMIT'); // Commit transaction
+        res.status(201).json({ ...report, imported: createdIds.length, ids: createdIds, message: `${createdIds.length} product(s) imported.` });
+
+    } catch (error) {
+        await client.query('ROLLBACK'); // Rollback on error
+        console.error('Error importing products:', error);
+        res.status(500).json({ message: 'Error importing products.' });
+    } finally {
+        client.release();
+    }
+};
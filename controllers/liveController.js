@@ -0,0 +1,221 @@
+// liveController.js
+
+const pool = require('../config/db');
+const settings = require('../config/settings');
+const { can } = require('../config/roles');
+const { EVENT_TABLES, toNotice } = require('../utils/outbox');
+const { findActiveSession } = require('../utils/sessions');
+const workflow = require('../utils/workflow');
+const liveFeed = require('../utils/liveFeed');
+
+// Server-Sent Events stream of catalogue changes and presence (see utils/liveFeed.js).
+//
+//   GET /api/live?subscribe=products,product_lines:3
+//
+// Topics are a whole table ('products') or one record ('products:12'); without `subscribe`
+// the stream carries every table the user may read. Events:
+//
+//   ready     { connection_id, topics, presence }  first event of every stream
+//   change    { id, type, table, record_id, action, status, changed, actor, occurred_at }
+//   presence  { table, record_id, users: [{ user_id, name, activity, since }] }
+//   reset     { message }  too many changes were missed to replay: reload everything
+//   expired / revoked  the access token expired or the session ended; the stream is closed
+//
+// `change` carries column names, not values: clients reload the record (readers never see the
+// pending drafts of editors this way). Its id is the outbox event id; a client that reconnects
+// with Last-Event-ID (or ?last_event_id=) receives what it missed first.
+
+const MAX_TOPICS = 100;
+
+/**
+ * Parses ?subscribe=. Throws an error carrying `status` if a topic is invalid or not readable.
+ * @param {string|undefined} value
+ * @param {object} user - req.user.
+ * @returns {string[]}
+ */
+const parseTopics = (value, user) => {
+    if (value === undefined || value === '') {
+        return EVENT_TABLES.filter(table => can(user.userRole, 'read', table));
+    }
+
+    const topics = [...new Set(String(value).split(',').map(topic => topic.trim()).filter(Boolean))];
+    if (topics.length > MAX_TOPICS) {
+        throw Object.assign(new Error(`At most ${MAX_TOPICS} topics can be subscribed to.`), { status: 400 });
+    }
+
+    topics.forEach(topic => {
+        const [table, recordId, extra] = topic.split(':');
+        if (!EVENT_TABLES.includes(table) || extra !== undefined || (recordId !== undefined && !/^[1-9]\d*$/.test(recordId))) {
+            throw Object.assign(new Error(`Invalid topic "${topic}": use a table (${EVENT_TABLES.join(', ')}) or <table>:<id>.`), { status: 400 });
+        }
+        if (!can(user.userRole, 'read', table)) {
+            throw Object.assign(new Error(`You do not have permission to read ${table}.`), { status: 403 });
+        }
+    });
+    return topics;
+};
+
+/**
+ * Sends the events a reconnecting client missed, then whatever arrived meanwhile.
+ * @param {object} connection - Its changes are queued until the replay is done.
+ * @param {number} lastEventId
+ * @returns {Promise<void>}
+ */
+const replayMissed = async (connection, lastEventId) => {
+    const tables = connection.topics.filter(topic => !topic.includes(':'));
+    const records = connection.topics.filter(topic => topic.includes(':'));
+
+    const result = await pool.query(
+        `SELECT * FROM outbox_events
+         WHERE id > $1 AND (table_name = ANY($2) OR table_name || ':' || record_id = ANY($3))
+         ORDER BY id
+         LIMIT $4`,
+        [lastEventId, tables, records, settings.live.replayLimit + 1]
+    );
+
+    let lastSent = lastEventId;
+    if (result.rows.length > settings.live.replayLimit) {
+        liveFeed.send(connection, 'reset', { message: 'Too many changes were missed. Reload the data.' });
+    } else {
+        result.rows.map(toNotice).forEach(notice => {
+            if (liveFeed.canReceive(connection, notice)) liveFeed.send(connection, 'change', notice, notice.id);
+            lastSent = notice.id;
+        });
+    }
+    liveFeed.flushQueue(connection, lastSent);
+};
+
+// EventSource cannot send headers: the stream also accepts the access token as ?access_token=.
+// Only used on this route, because URLs end up in proxy logs.
+exports.acceptQueryToken = (req, res, next) => {
+    if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+        req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+    next();
+};
+
+// STREAM: opens the event stream
+exports.stream = async (req, res) => {
+    let topics;
+    try {
+        topics = parseTopics(req.query.subscribe, req.user);
+    } catch (error) {
+        return res.status(error.status).json({ message: error.message });
+    }
+
+    const lastEventId = Number(req.headers['last-event-id'] || req.query.last_event_id) || 0;
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Stop reverse proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${settings.live.heartbeatSeconds * 1000}\n\n`);
+
+    const user = { ...req.user };
+    const connection = liveFeed.addConnection(user, res, topics, lastEventId > 0);
+    liveFeed.send(connection, 'ready', {
+        connection_id: connection.id,
+        topics,
+        presence: liveFeed.presenceSnapshot(user, topics)
+    });
+
+    const close = (event, message) => {
+        clearInterval(heartbeat);
+        liveFeed.send(connection, event, { message });
+        res.end();
+    };
+
+    // Heartbeat: keeps proxies from closing an idle stream, and ends it with the session or token
+    const heartbeat = setInterval(async () => {
+        if (user.tokenExpiresAt && user.tokenExpiresAt <= Date.now()) {
+            return close('expired', 'Your access token expired. Reconnect with a new one.');
+        }
+        try {
+            const session = await findActiveSession(user.sessionId);
+            if (!session) {
+                return close('revoked', 'Your session has ended. Please log in again.');
+            }
+            // Role changes apply to the open stream
+            user.userRole = session.user_role;
+            res.write(': ping\n\n');
+        } catch (error) {
+            console.error('[LIVE] Session check failed:', error.message);
+        }
+    }, settings.live.heartbeatSeconds * 1000);
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        liveFeed.removeConnection(connection);
+    });
+
+    if (lastEventId > 0) {
+        try {
+            await replayMissed(connection, lastEventId);
+        } catch (error) {
+            console.error('[LIVE] Replay failed:', error);
+            liveFeed.send(connection, 'reset', { message: 'Missed changes could not be replayed. Reload the data.' });
+            liveFeed.flushQueue(connection, lastEventId);
+        }
+    }
+};
+
+// UPDATE Presence: what the user is doing on a record, announced to everyone subscribed to it.
+// Body: { connection_id, table, record_id, activity: 'viewing' | 'editing' | 'left' }
+// 'viewing' and 'editing' expire after LIVE_PRESENCE_TTL_SECONDS: send them again before that.
+// The connection must be open on the instance that receives the request, and the record visible
+// to the user ('left' is accepted for records that are gone, so that presence is cleared).
+exports.updatePresence = async (req, res) => {
+    const { connection_id: connectionId, table, record_id: recordId, activity } = req.body || {};
+
+    if (!EVENT_TABLES.includes(table) || !Number.isInteger(Number(recordId)) || Number(recordId) < 1) {
+        return res.status(400).json({ message: `table must be one of: ${EVENT_TABLES.join(', ')}, and record_id a positive integer.` });
+    }
+    if (!liveFeed.PRESENCE_ACTIVITIES.includes(activity)) {
+        return res.status(400).json({ message: `activity must be one of: ${liveFeed.PRESENCE_ACTIVITIES.join(', ')}.` });
+    }
+    if (!can(req.user.userRole, 'read', table)) {
+        return res.status(403).json({ message: `You do not have permission to read ${table}.` });
+    }
+
+    const connection = liveFeed.getConnection(connectionId);
+    if (!connection || connection.user.id !== req.user.id) {
+        return res.status(404).json({ message: 'No open live connection with this connection_id.' });
+    }
+
+    try {
+        let status;
+        if (activity !== 'left') {
+            const result = await pool.query(`SELECT status FROM ${table} WHERE id = $1 AND deleted_at IS NULL`, [Number(recordId)]);
+            const record = result.rows[0];
+            if (!record || !workflow.isVisible(req.user, table, record)) {
+                return res.status(404).json({ message: `${table} with ID ${recordId} not found.` });
+            }
+            status = record.status;
+        }
+
+        await liveFeed.setPresence(connection, table, Number(recordId), activity, status);
+        res.status(204).send();
+    } catch (error) {
+        console.error('Error updating presence:', error);
+        res.status(500).json({ message: 'Error updating presence.' });
+    }
+};
+
+// GET Presence: who is on a record right now (?table=products&record_id=12)
+exports.getPresence = (req, res) => {
+    const { table, record_id: recordId } = req.query;
+
+    if (!EVENT_TABLES.includes(table) || !/^[1-9]\d*$/.test(recordId || '')) {
+        return res.status(400).json({ message: `table must be one of: ${EVENT_TABLES.join(', ')}, and record_id a positive integer.` });
+    }
+    if (!can(req.user.userRole, 'read', table)) {
+        return res.status(403).json({ message: `You do not have permission to read ${table}.` });
+    }
+
+    const [entry] = liveFeed.presenceSnapshot(req.user, [`${table}:${recordId}`]);
+    res.status(200).json({ table, record_id: Number(recordId), users: entry ? entry.users : [] });
+};
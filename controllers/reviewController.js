@@ -0,0 +1,305 @@
+// reviewController.js
+
+const pool = require('../config/db');
+const { logAction, moveProducts } = require('./dataController');
+const { signFileField } = require('./fileController');
+const { diffRecords } = require('../utils/recordDiff');
+const { versionTag } = require('../utils/recordVersion');
+const workflow = require('../utils/workflow');
+const { recordEvent } = require('../utils/outbox');
+const { tableColumns, titleColumns, fileFields } = require('../config/tables');
+
+// Review endpoints of the draft / review / published workflow (see utils/workflow.js).
+// A reviewer approves or rejects either a record that was never published ('in_review') or the
+// pending draft of a published record. Every transition is written to audit_logs.
+
+const DRAFT_STATUSES = ['pending', 'approved', 'rejected', 'discarded'];
+const MAX_COMMENT_LENGTH = 2000;
+
+const readComment = (body) => {
+    const comment = body && body.comment !== undefined && body.comment !== null ? String(body.comment).trim() : '';
+    return comment.slice(0, MAX_COMMENT_LENGTH) || null;
+};
+
+/**
+ * Loads and locks a live record.
+ * @param {object} client - Transaction client.
+ * @returns {Promise<object|null>}
+ */
+const lockRecord = async (client, tableName, id) => {
+    const result = await client.query(`SELECT * FROM ${tableName} WHERE id = $1 AND deleted_at IS NULL FOR UPDATE`, [id]);
+    return result.rows[0] || null;
+};
+
+// GET Drafts: edits waiting for review (?status=pending by default), most recent first.
+// Records that were never published are listed with ?status=in_review on the list endpoint.
+exports.getDrafts = (tableName) => async (req, res) => {
+    const status = req.query.status || 'pending';
+    if (!DRAFT_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `status must be one of: ${DRAFT_STATUSES.join(', ')}.` });
+    }
+
+    try {
+        const result = await pool.query(
+            `SELECT d.*, t.${titleColumns[tableName]} AS title, a.display_name AS updated_by_name
+             FROM record_drafts d
+             JOIN ${tableName} t ON t.id = d.record_id AND t.deleted_at IS NULL
+             LEFT JOIN users a ON a.id = d.updated_by
+             WHERE d.table_name = $1 AND d.status = $2
+             ORDER BY d.updated_at DESC, d.id DESC
+             LIMIT 500`,
+            [tableName, status]
+        );
+        res.status(200).json(result.rows);
+    } catch (error) {
+        console.error(`Error fetching drafts of ${tableName}:`, error);
+        res.status(500).json({ message: `Error fetching drafts for ${tableName}.` });
+    }
+};
+
+// GET Draft: the pending draft of a record, with each proposed value next to the live one
+exports.getDraft = (tableName) => async (req, res) => {
+    const { id } = req.params;
+    try {
+        const recordResult = await pool.query(`SELECT * FROM ${tableName} WHERE id = $1 AND deleted_at IS NULL`, [id]);
+        const record = recordResult.rows[0];
+        const draft = record ? await workflow.findPendingDraft(pool, tableName, id) : null;
+
+        if (!draft) {
+            return res.status(404).json({ message: `${tableName} with ID ${id} has no pending draft.` });
+        }
+
+        res.status(200).json({ ...draft, proposed: workflow.proposedChanges(record, draft.changes) });
+    } catch (error) {
+        console.error(`Error fetching draft of ${tableName}/${id}:`, error);
+        res.status(500).json({ message: `Error fetching draft for ${tableName} with ID ${id}.` });
+    }
+};
+
+// DISCARD Draft: editors withdraw the pending draft of a record
+exports.discardDraft = (tableName) => async (req, res) => {
+    const { id } = req.params;
+    const { id: userId, displayName: userName } = req.user;
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN'); // Start transaction
+
+        const draft = await workflow.findPendingDraft(client, tableName, id, true);
+        if (!draft) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: `${tableName} with ID ${id} has no pending draft.` });
+        }
+
+        await client.query(
+            "UPDATE record_drafts SET status = 'discarded', updated_by = $1, updated_at = NOW() WHERE id = $2",
+            [userId, draft.id]
+        );
+
+        // Audit Log (DISCARD_DRAFT)
+        await logAction('DISCARD_DRAFT', tableName, id, userId, userName, { draft_id: draft.id, discarded: draft.changes }, client);
+
+        await client.query('COMMIT'); // Commit transaction
+        res.status(204).send();
+
+    } catch (error) {
+        await client.query('ROLLBACK'); // Rollback on error
+        console.error(`Error discarding draft of ${tableName}/${id}:`, error);
+        res.status(500).json({ message: `Error discarding draft for ${tableName}.` });
+    } finally {
+        client.release();
+    }
+};
+
+// APPROVE: publishes a record that is in review, or applies the pending draft of a published one.
+// Body: { comment? }
+exports.approve = (tableName) => async (req, res) => {
+    const { id } = req.params;
+    const { id: userId, displayName: userName } = req.user;
+    const comment = readComment(req.body);
+    const fileField = fileFields[tableName] || null;
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN'); // Start transaction
+
+        // 1. Load the record
+        const record = await lockRecord(client, tableName, id);
+        if (!record) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: `${tableName} with ID ${id} not found.` });
+        }
+
+        // 2. A record that was never published goes live as it is
+        if (record.status !== 'published') {
+            if (record.status !== 'in_review') {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ message: `${tableName} with ID ${id} was rejected and has not been edited since.` });
+            }
+            if (workflow.isOwnChange(req.user, record)) {
+                await client.query('ROLLBACK');
+                return res.status(403).json({ message: 'You cannot approve a record you created or last edited.' });
+            }
+
+            // A status change is a new version: clients holding the one under review must reload
+            const result = await client.query(
+                `UPDATE ${tableName} SET status = 'published', published_at = NOW(), review_comment = $1,
+                        updated_at = NOW(), updated_by = $2
+                 WHERE id = $3 RETURNING *`,
+                [comment, userId, id]
+            );
+
+            // Audit Log (APPROVE) and outbox event
+            await logAction('APPROVE', tableName, id, userId, userName, {
+                status: { before: record.status, after: 'published' },
+                comment
+            }, client);
+            await recordEvent(client, tableName, 'published', result.rows[0], { actor: req.user });
+
+            await client.query('COMMIT'); // Commit transaction
+            return res.status(200).set('ETag', versionTag(result.rows[0])).json(signFileField(result.rows[0], fileField));
+        }
+
+        // 3. Otherwise apply its pending draft
+        const draft = await workflow.findPendingDraft(client, tableName, id, true);
+        if (!draft) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ message: `${tableName} with ID ${id} is published and has no pending draft.` });
+        }
+        if (workflow.isOwnChange(req.user, draft)) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ message: 'You cannot approve a draft you wrote.' });
+        }
+
+        const changes = { ...draft.changes };
+        // The product line may have been renamed or deleted since the draft was written
+        if (tableName === 'products' && changes.product_line) {
+            const lineResult = await client.query(
+                'SELECT id FROM product_lines WHERE name = $1 AND deleted_at IS NULL',
+                [changes.product_line]
+            );
+            if (lineResult.rowCount === 0) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ message: `Product line with name "${changes.product_line}" no longer exists. Reject the draft instead.` });
+            }
+            changes.product_line_id = lineResult.rows[0].id;
+        }
+
+        // Only columns that are still writable are applied
+        const columns = Object.keys(changes).filter(column => tableColumns[tableName].includes(column) && column !== fileField);
+        const values = columns.map(column => changes[column]);
+        const setClauses = columns.map((column, i) => `${column} = $${i + 1}`);
+        // The change is credited to the author of the draft; the reviewer is in the audit entry
+        setClauses.push('updated_at = NOW()', `updated_by = $${values.length + 1}`, `review_comment = $${values.length + 2}`);
+
+        const result = await client.query(
+            `UPDATE ${tableName} SET ${setClauses.join(', ')} WHERE id = $${values.length + 3} RETURNING *`,
+            [...values, draft.updated_by, comment, id]
+        );
+        const updated = result.rows[0];
+
+        await client.query(
+            "UPDATE record_drafts SET status = 'approved', reviewed_by = $1, reviewed_at = NOW(), review_comment = $2 WHERE id = $3",
+            [userId, comment, draft.id]
+        );
+
+        // 4. Field-level diff, so that history and revert treat the approval like any update
+        const diff = diffRecords(record, updated, tableColumns[tableName], fileField);
+        if (tableName === 'product_lines' && diff.changes.name) {
+            diff.renamed_products = await moveProducts(client, id, { id: Number(id), name: updated.name }, req.user);
+        }
+
+        // Audit Log (APPROVE) and outbox event
+        await logAction('APPROVE', tableName, id, userId, userName, {
+            ...diff,
+            draft_id: draft.id,
+            authors: [...new Set([draft.created_by, draft.updated_by])],
+            comment
+        }, client);
+        await recordEvent(client, tableName, 'updated', updated, { actor: req.user, changes: diff.changes });
+
+        await client.query('COMMIT'); // Commit transaction
+        res.status(200).set('ETag', versionTag(updated)).json(signFileField(updated, fileField));
+
+    } catch (error) {
+        await client.query('ROLLBACK'); // Rollback on error
+        console.error(`Error approving ${tableName}/${id}:`, error);
+
+        if (error.code === '23505') {
+            return res.status(409).json({ message: 'A record with this unique name/ID already exists.' });
+        }
+
+        res.status(500).json({ message: `Error approving ${tableName}.` });
+    } finally {
+        client.release();
+    }
+};
+
+// REJECT: sends a record in review back to draft, or rejects the pending draft of a published one.
+// Body: { comment } (required, so that the author knows what to change)
+exports.reject = (tableName) => async (req, res) => {
+    const { id } = req.params;
+    const { id: userId, displayName: userName } = req.user;
+    const comment = readComment(req.body);
+
+    if (!comment) {
+        return res.status(400).json({ message: 'A comment is required to reject a change.' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN'); // Start transaction
+
+        const record = await lockRecord(client, tableName, id);
+        if (!record) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: `${tableName} with ID ${id} not found.` });
+        }
+
+        if (record.status === 'in_review') {
+            const result = await client.query(
+                `UPDATE ${tableName} SET status = 'draft', review_comment = $1, updated_at = NOW(), updated_by = $2
+                 WHERE id = $3 RETURNING *`,
+                [comment, userId, id]
+            );
+
+            // Audit Log (REJECT)
+            await logAction('REJECT', tableName, id, userId, userName, {
+                status: { before: 'in_review', after: 'draft' },
+                comment
+            }, client);
+
+            await client.query('COMMIT'); // Commit transaction
+            return res.status(200).set('ETag', versionTag(result.rows[0])).json(signFileField(result.rows[0], fileFields[tableName]));
+        }
+
+        const draft = await workflow.findPendingDraft(client, tableName, id, true);
+        if (!draft) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ message: `${tableName} with ID ${id} has nothing waiting for review.` });
+        }
+
+        const rejected = await client.query(
+            `UPDATE record_drafts SET status = 'rejected', reviewed_by = $1, reviewed_at = NOW(), review_comment = $2
+             WHERE id = $3 RETURNING ${workflow.DRAFT_COLUMNS}`,
+            [userId, comment, draft.id]
+        );
+
+        // Audit Log (REJECT) - `proposed`, not `changes`: these values never went live
+        await logAction('REJECT', tableName, id, userId, userName, {
+            draft_id: draft.id,
+            proposed: workflow.proposedChanges(record, draft.changes),
+            comment
+        }, client);
+
+        await client.query('COMMIT'); // Commit transaction
+        res.status(200).json(rejected.rows[0]);
+
+    } catch (error) {
+        await client.query('ROLLBACK'); // Rollback on error
+        console.error(`Error rejecting ${tableName}/${id}:`, error);
+        res.status(500).json({ message: `Error rejecting ${tableName}.` });
+    } finally {
+        client.release();
+    }
+};
@@ -0,0 +1,112 @@
+// searchController.js
+
+const pool = require('../config/db');
+const { tableColumns, titleColumns } = require('../config/tables');
+const schemas = require('../config/schemas');
+const { can } = require('../config/roles');
+const settings = require('../config/settings');
+const { canSeeUnpublished } = require('../utils/workflow');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2';
+
+// Catalogue tables only (users have a schema too, but are not searchable here)
+const SEARCHABLE_TABLES = Object.keys(titleColumns);
+
+/**
+ * SQL expression that HTML-escapes a column, so that the only markup in a snippet is the
+ * <mark> added by ts_headline and the frontend can render snippets as HTML.
+ * @param {string} column - e.g. 't.description'.
+ * @returns {string}
+ */
+const escapeHtml = (column) =>
+    `replace(replace(replace(replace(replace(${column}::text, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'), '"', '&quot;'), '''', '&#39;')`;
+
+// Only text columns are searched; ids, numbers and file paths are skipped
+const searchableColumns = (tableName) =>
+    tableColumns[tableName].filter(column => schemas[tableName][column].type === 'string');
+
+/**
+ * Builds the ranked full-text query for one table.
+ * $1 = text search config, $2 = user query, $3 = row limit, $4 = include unpublished records.
+ * The title column is weighted higher than the other free-text columns, and
+ * `matches` holds a highlighted, HTML-escaped snippet for every column the query matched.
+ * @param {string} tableName - One of SEARCHABLE_TABLES.
+ * @returns {string} SQL text.
+ */
+const buildSearchQuery = (tableName) => {
+    const titleColumn = titleColumns[tableName];
+    const columns = searchableColumns(tableName);
+    const bodyColumns = columns.filter(column => column !== titleColumn);
+
+    const document = `setweight(to_tsvector($1::regconfig, coalesce(t.${titleColumn}::text, '')), 'A') || ` +
+        `setweight(to_tsvector($1::regconfig, concat_ws(' ', ${bodyColumns.map(c => `t.${c}::text`).join(', ')})), 'B')`;
+
+    const snippets = columns.map(column =>
+        `'${column}', CASE WHEN to_tsvector($1::regconfig, coalesce(t.${column}::text, '')) @@ q.query ` +
+        `THEN ts_headline($1::regconfig, ${escapeHtml(`t.${column}`)}, q.query, '${HEADLINE_OPTIONS}') END`
+    ).join(', ');
+
+    return `
+        SELECT t.id, t.${titleColumn} AS title, ts_rank(d.document, q.query) AS rank,
+               jsonb_strip_nulls(jsonb_build_object(${snippets})) AS matches
+        FROM ${tableName} t
+        CROSS JOIN (SELECT websearch_to_tsquery($1::regconfig, $2) AS query) q
+        CROSS JOIN LATERAL (SELECT ${document} AS document) d
+        WHERE t.deleted_at IS NULL AND ($4 OR t.status = 'published') AND d.document @@ q.query
+        ORDER BY rank DESC, t.id DESC
+        LIMIT $3`;
+};
+
+// SQL is generated once per table at load time
+const searchQueries = SEARCHABLE_TABLES.reduce((queries, tableName) => {
+    queries[tableName] = buildSearchQuery(tableName);
+    return queries;
+}, {});
+
+// SEARCH across products and product lines
+// GET /api/search?q=tooling china&tables=products,product_lines&limit=20
+exports.search = async (req, res) => {
+    const q = String(req.query.q || '').trim();
+    if (!q) {
+        return res.status(400).json({ message: 'Query parameter "q" is required.' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+    const requested = req.query.tables ? String(req.query.tables).split(',').map(t => t.trim()) : SEARCHABLE_TABLES;
+
+    const unknown = requested.filter(t => !SEARCHABLE_TABLES.includes(t));
+    if (unknown.length > 0) {
+        return res.status(400).json({ message: `Cannot search unknown table(s): ${unknown.join(', ')}.` });
+    }
+
+    // Only search the tables the caller is allowed to read
+    const tables = requested.filter(t => can(req.user.userRole, 'read', t));
+
+    try {
+        const resultsPerTable = await Promise.all(tables.map(async (tableName) => {
+            const result = await pool.query(searchQueries[tableName], [
+                settings.search.textConfig, q, limit, canSeeUnpublished(req.user, tableName)
+            ]);
+            return result.rows.map(row => ({
+                table: tableName,
+                id: row.id,
+                title: row.title,
+                rank: Number(row.rank),
+                matches: row.matches
+            }));
+        }));
+
+        const results = resultsPerTable
+            .flat()
+            .sort((a, b) => b.rank - a.rank)
+            .slice(0, limit);
+
+        res.status(200).json({ query: q, total: results.length, results });
+    } catch (error) {
+        console.error(`Error searching for "${q}":`, error);
+        res.status(500).json({ message: 'Error running search.' });
+    }
+};
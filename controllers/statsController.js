@@ -0,0 +1,377 @@
+// statsController.js
+
+const pool = require('../config/db');
+const settings = require('../config/settings');
+const { canSeeUnpublished } = require('../utils/workflow');
+const { badRequest, isIsoDate } = require('../utils/listQuery');
+const { createCache } = require('../utils/ttlCache');
+
+// Catalogue aggregates for dashboards, computed in SQL. Results are cached per instance for
+// STATS_CACHE_TTL_SECONDS, per endpoint, filters and visibility, so figures can lag behind
+// edits by that much. Readers only count published records (see utils/workflow.js).
+//
+// Catalogue endpoints share these filters:
+//   ?product_line_id=1,2  ?design_center=Poitiers  ?location=China (one of the line's manufacturing locations)
+//   ?from= / ?to= (product created_at)  ?status= (editors and reviewers only)
+
+const cache = createCache({ ttlSeconds: settings.stats.cacheTtlSeconds });
+
+const STATUSES = ['draft', 'in_review', 'published'];
+
+// Free-text columns that only say there is nothing count as empty
+const EMPTY_TEXT = ['', '-', 'n/a', 'na', 'none', 'no', 'tbd'];
+const hasText = (column) =>
+    `lower(trim(coalesce(${column}, ''))) <> ALL(ARRAY[${EMPTY_TEXT.map(value => `'${value}'`).join(', ')}])`;
+
+// manufacturing_locations holds a list such as 'France, China, Mexico'
+const LOCATION_SEPARATORS = "'\\s*[,;\\n]\\s*'";
+
+// Numeric product columns with a distribution, and their fixed histogram range (null: min to max)
+const DISTRIBUTION_FIELDS = {
+    estimated_price_per_product: null,
+    gmdc_pct: [0, 100]
+};
+const DEFAULT_BUCKETS = 10;
+const MAX_BUCKETS = 50;
+
+// Activity covers changes to the catalogue, not exports or refused requests
+const ACTIVITY_TABLES = ['products', 'product_lines'];
+const NON_EDIT_ACTIONS = ['EXPORT', 'FORBIDDEN'];
+
+/**
+ * Reads a date filter. Throws a 400 error unless it is an ISO 8601 date or timestamp
+ * (Date.parse accepts values such as 'March 5' that PostgreSQL then refuses).
+ * @returns {string|undefined}
+ */
+const dateParam = (query, name) => {
+    const value = query[name];
+    if (value === undefined) return undefined;
+    if (typeof value !== 'string' || !isIsoDate(value)) {
+        throw badRequest(`"${name}" must be an ISO 8601 date, e.g. 2024-01-31 or 2024-01-31T12:00:00Z.`);
+    }
+    return value;
+};
+
+/**
+ * Builds the shared catalogue filters as conditions on product lines (pl) and products (p).
+ * Throws a 400 error for invalid values.
+ * @param {object} req
+ * @returns {object} { line, product, params, key } - condition lists, their parameters and a cache key.
+ */
+const catalogueFilters = (req) => {
+    const { query, user } = req;
+    const line = ['pl.deleted_at IS NULL'];
+    const product = ['p.deleted_at IS NULL'];
+    const params = [];
+    const add = (conditions, condition, value) => {
+        params.push(value);
+        conditions.push(condition.replace(/\?/g, `$${params.length}`));
+    };
+
+    if (query.product_line_id !== undefined) {
+        const ids = String(query.product_line_id).split(',').map(Number);
+        if (ids.some(id => !Number.isInteger(id) || id < 1)) {
+            throw badRequest('"product_line_id" must be a comma-separated list of ids.');
+        }
+        add(line, 'pl.id = ANY(?)', ids);
+    }
+    if (query.design_center !== undefined) {
+        add(line, 'lower(trim(pl.design_center)) = lower(trim(?))', String(query.design_center));
+    }
+    if (query.location !== undefined) {
+        add(line, `lower(trim(?)) IN (SELECT lower(location) FROM regexp_split_to_table(trim(pl.manufacturing_locations), ${LOCATION_SEPARATORS}) AS location)`, String(query.location));
+    }
+
+    const from = dateParam(query, 'from');
+    const to = dateParam(query, 'to');
+    if (from !== undefined) add(product, 'p.created_at >= ?', from);
+    if (to !== undefined) add(product, 'p.created_at <= ?', to);
+
+    if (!canSeeUnpublished(user, 'product_lines')) line.push("pl.status = 'published'");
+    if (!canSeeUnpublished(user, 'products')) {
+        product.push("p.status = 'published'");
+    } else if (query.status !== undefined) {
+        if (!STATUSES.includes(query.status)) {
+            throw badRequest(`"status" must be one of: ${STATUSES.join(', ')}.`);
+        }
+        add(product, 'p.status = ?', query.status);
+    }
+
+    return { line, product, params, key: JSON.stringify([line, product, params]) };
+};
+
+/**
+ * Wraps a stats query in a handler with caching and the usual error handling.
+ * @param {string} name - Cache namespace and log label.
+ * @param {Function} build - (req) => { key, load } where load() resolves to the response fields.
+ * @returns {Function} Express handler.
+ */
+const statsHandler = (name, build) => async (req, res) => {
+    try {
+        const { key, load } = build(req);
+        const { value, cachedAt } = await cache.get(`${name}:${key}`, load);
+
+        res.set('Cache-Control', `private, max-age=${settings.stats.cacheTtlSeconds}`);
+        res.status(200).json({ generated_at: cachedAt, ...value });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error(`Error computing ${name} stats:`, error);
+        res.status(500).json({ message: `Error computing ${name} statistics.` });
+    }
+};
+
+// --- CATALOGUE ---
+
+// GET Summary: record counts, plus counts by status and pending drafts for editors. Pending drafts
+// are those of the lines and products counted, so they follow the filters too.
+exports.getSummary = statsHandler('summary', (req) => {
+    const filters = catalogueFilters(req);
+    const withWorkflow = canSeeUnpublished(req.user, 'products');
+
+    return {
+        key: filters.key,
+        load: async () => {
+            const result = await pool.query(
+                `WITH matched AS (
+                    SELECT pl.id AS line_id, p.id AS product_id, p.status
+                    FROM product_lines pl
+                    LEFT JOIN products p ON p.product_line_id = pl.id AND ${filters.product.join(' AND ')}
+                    WHERE ${filters.line.join(' AND ')}
+                 )
+                 SELECT COUNT(DISTINCT line_id)::int AS product_lines, COUNT(product_id)::int AS products,
+                        COUNT(product_id) FILTER (WHERE status = 'published')::int AS published,
+                        COUNT(product_id) FILTER (WHERE status = 'in_review')::int AS in_review,
+                        COUNT(product_id) FILTER (WHERE status = 'draft')::int AS draft,
+                        (SELECT COUNT(*)::int FROM record_drafts d
+                         WHERE d.status = 'pending'
+                           AND ((d.table_name = 'product_lines' AND d.record_id IN (SELECT line_id FROM matched))
+                             OR (d.table_name = 'products' AND d.record_id IN (SELECT product_id FROM matched)))) AS pending_drafts
+                 FROM matched`,
+                filters.params
+            );
+            const { product_lines: productLines, products, pending_drafts: pendingDrafts, ...byStatus } = result.rows[0];
+
+            return withWorkflow
+                ? { product_lines: productLines, products, products_by_status: byStatus, pending_drafts: pendingDrafts }
+                : { product_lines: productLines, products };
+        }
+    };
+});
+
+// GET Products per line: every matching line, including those without products
+exports.getProductsPerLine = statsHandler('products-per-line', (req) => {
+    const filters = catalogueFilters(req);
+    return {
+        key: filters.key,
+        load: async () => {
+            const result = await pool.query(
+                `SELECT pl.id, pl.name, pl.design_center, COUNT(p.id)::int AS products
+                 FROM product_lines pl
+                 LEFT JOIN products p ON p.product_line_id = pl.id AND ${filters.product.join(' AND ')}
+                 WHERE ${filters.line.join(' AND ')}
+                 GROUP BY pl.id
+                 ORDER BY products DESC, pl.name`,
+                filters.params
+            );
+            return { product_lines: result.rows };
+        }
+    };
+});
+
+// GET Products by manufacturing location. A line made in several places counts in each of them;
+// products of lines without a location are under `location: null`.
+exports.getProductsByLocation = statsHandler('products-by-location', (req) => {
+    const filters = catalogueFilters(req);
+    return {
+        key: filters.key,
+        load: async () => {
+            const result = await pool.query(
+                `SELECT l.location, COUNT(DISTINCT p.id)::int AS products, COUNT(DISTINCT pl.id)::int AS product_lines
+                 FROM product_lines pl
+                 JOIN products p ON p.product_line_id = pl.id AND ${filters.product.join(' AND ')}
+                 LEFT JOIN LATERAL (
+                     SELECT DISTINCT location FROM regexp_split_to_table(trim(pl.manufacturing_locations), ${LOCATION_SEPARATORS}) AS location
+                     WHERE location <> ''
+                 ) l ON TRUE
+                 WHERE ${filters.line.join(' AND ')}
+                 GROUP BY l.location
+                 ORDER BY products DESC, l.location NULLS LAST`,
+                filters.params
+            );
+            return { locations: result.rows };
+        }
+    };
+});
+
+// GET Products by design center (products of lines without one are under `design_center: null`)
+exports.getProductsByDesignCenter = statsHandler('products-by-design-center', (req) => {
+    const filters = catalogueFilters(req);
+    return {
+        key: filters.key,
+        load: async () => {
+            const result = await pool.query(
+                `SELECT NULLIF(trim(pl.design_center), '') AS design_center,
+                        COUNT(p.id)::int AS products, COUNT(DISTINCT pl.id)::int AS product_lines
+                 FROM product_lines pl
+                 JOIN products p ON p.product_line_id = pl.id AND ${filters.product.join(' AND ')}
+                 WHERE ${filters.line.join(' AND ')}
+                 GROUP BY 1
+                 ORDER BY products DESC, design_center NULLS LAST`,
+                filters.params
+            );
+            return { design_centers: result.rows };
+        }
+    };
+});
+
+/**
+ * Summary statistics and histogram of one numeric product column.
+ * @param {string} field - One of DISTRIBUTION_FIELDS.
+ * @param {object} filters - From catalogueFilters.
+ * @param {number} buckets - Histogram bucket count.
+ * @returns {Promise<object>}
+ */
+const loadDistribution = async (field, filters, buckets) => {
+    const values = `SELECT p.${field}::float8 AS value
+        FROM products p JOIN product_lines pl ON pl.id = p.product_line_id
+        WHERE ${[...filters.product, ...filters.line].join(' AND ')}`;
+
+    const statsResult = await pool.query(
+        `SELECT COUNT(value)::int AS count, (COUNT(*) - COUNT(value))::int AS missing,
+                MIN(value) AS min, MAX(value) AS max, AVG(value) AS mean,
+                percentile_cont(ARRAY[0.25, 0.5, 0.75, 0.9]) WITHIN GROUP (ORDER BY value) AS percentiles
+         FROM (${values}) v`,
+        filters.params
+    );
+    const { percentiles, ...stats } = statsResult.rows[0];
+    const [p25, median, p75, p90] = percentiles || [];
+    const distribution = { ...stats, percentiles: { p25, median, p75, p90 }, buckets: [] };
+    if (stats.count === 0) return distribution;
+
+    // Histogram over the fixed range of the column, or from the smallest to the largest value
+    const [low, high] = DISTRIBUTION_FIELDS[field] || [stats.min, stats.max];
+    const count = high > low ? buckets : 1;
+    const width = (high - low) / count;
+
+    const histogramResult = await pool.query(
+        `SELECT CASE WHEN $${filters.params.length + 3}::int = 1 THEN 1
+                     ELSE LEAST(GREATEST(width_bucket(value, $${filters.params.length + 1}, $${filters.params.length + 2}, $${filters.params.length + 3}), 1), $${filters.params.length + 3})
+                END AS bucket, COUNT(*)::int AS count
+         FROM (${values}) v
+         WHERE value IS NOT NULL
+         GROUP BY 1`,
+        [...filters.params, low, high > low ? high : low + 1, count]
+    );
+    const counts = new Map(histogramResult.rows.map(row => [row.bucket, row.count]));
+
+    distribution.buckets = Array.from({ length: count }, (_, i) => ({
+        from: low + i * width,
+        to: i === count - 1 ? high : low + (i + 1) * width,
+        count: counts.get(i + 1) || 0
+    }));
+    return distribution;
+};
+
+// GET Distributions of price and GMDC %: count, min, max, mean, percentiles and a histogram.
+// ?field= limits it to one of them, ?buckets= sets the histogram size (default 10, max 50).
+exports.getDistributions = statsHandler('distributions', (req) => {
+    const filters = catalogueFilters(req);
+    const { field } = req.query;
+    const buckets = req.query.buckets === undefined ? DEFAULT_BUCKETS : Number(req.query.buckets);
+
+    if (field !== undefined && !Object.keys(DISTRIBUTION_FIELDS).includes(field)) {
+        throw badRequest(`"field" must be one of: ${Object.keys(DISTRIBUTION_FIELDS).join(', ')}.`);
+    }
+    if (!Number.isInteger(buckets) || buckets < 1 || buckets > MAX_BUCKETS) {
+        throw badRequest(`"buckets" must be an integer between 1 and ${MAX_BUCKETS}.`);
+    }
+
+    const fields = field ? [field] : Object.keys(DISTRIBUTION_FIELDS);
+    return {
+        key: `${filters.key}:${fields.join(',')}:${buckets}`,
+        load: async () => {
+            const distributions = {};
+            for (const name of fields) {
+                distributions[name] = await loadDistribution(name, filters, buckets);
+            }
+            return { distributions };
+        }
+    };
+});
+
+// GET Lines in development: lines with products that have a customer in development but none
+// with a customer in production, with those products.
+exports.getLinesInDevelopment = statsHandler('lines-in-development', (req) => {
+    const filters = catalogueFilters(req);
+    return {
+        key: filters.key,
+        load: async () => {
+            const result = await pool.query(
+                `SELECT pl.id, pl.name, pl.design_center, COUNT(p.id)::int AS products,
+                        json_agg(json_build_object('id', p.id, 'product_name', p.product_name, 'customer_in_development', p.customer_in_development)
+                                 ORDER BY p.product_name) FILTER (WHERE ${hasText('p.customer_in_development')}) AS products_in_development
+                 FROM product_lines pl
+                 JOIN products p ON p.product_line_id = pl.id AND ${filters.product.join(' AND ')}
+                 WHERE ${filters.line.join(' AND ')}
+                 GROUP BY pl.id
+                 HAVING COUNT(*) FILTER (WHERE ${hasText('p.customer_in_development')}) > 0
+                    AND COUNT(*) FILTER (WHERE ${hasText('p.customers_in_production')}) = 0
+                 ORDER BY pl.name`,
+                filters.params
+            );
+            return { product_lines: result.rows };
+        }
+    };
+});
+
+// --- ACTIVITY ---
+
+// GET Edit activity per user, from audit_logs: entries per action, records touched, first and last edit.
+// Filters: ?from, ?to (logged_at), ?table_name, ?user_id
+exports.getActivity = statsHandler('activity', (req) => {
+    const { table_name: tableName, user_id: userId } = req.query;
+    const conditions = ['a.table_name = ANY($1)', 'a.action <> ALL($2)'];
+    const params = [tableName !== undefined ? [tableName] : ACTIVITY_TABLES, NON_EDIT_ACTIONS];
+    const add = (condition, value) => {
+        params.push(value);
+        conditions.push(condition.replace('?', `$${params.length}`));
+    };
+
+    if (tableName !== undefined && !ACTIVITY_TABLES.includes(tableName)) {
+        throw badRequest(`"table_name" must be one of: ${ACTIVITY_TABLES.join(', ')}.`);
+    }
+    if (userId !== undefined) {
+        if (!/^[1-9]\d*$/.test(userId)) throw badRequest('"user_id" must be a positive integer.');
+        add('a.user_id = ?', Number(userId));
+    }
+    const from = dateParam(req.query, 'from');
+    const to = dateParam(req.query, 'to');
+    if (from !== undefined) add('a.logged_at >= ?', from);
+    if (to !== undefined) add('a.logged_at <= ?', to);
+
+    return {
+        key: JSON.stringify([conditions, params]),
+        load: async () => {
+            const result = await pool.query(
+                `WITH entries AS (
+                    SELECT a.* FROM audit_logs a WHERE ${conditions.join(' AND ')}
+                 ), actions AS (
+                    SELECT user_id, jsonb_object_agg(action, count) AS actions
+                    FROM (SELECT user_id, action, COUNT(*)::int AS count FROM entries GROUP BY user_id, action) c
+                    GROUP BY user_id
+                 )
+                 SELECT e.user_id, (array_agg(e.user_name ORDER BY e.logged_at DESC))[1] AS user_name,
+                        COUNT(*)::int AS total, COUNT(DISTINCT (e.table_name, e.document_id))::int AS records,
+                        a.actions, MIN(e.logged_at) AS first_at, MAX(e.logged_at) AS last_at
+                 FROM entries e
+                 JOIN actions a ON a.user_id IS NOT DISTINCT FROM e.user_id
+                 GROUP BY e.user_id, a.actions
+                 ORDER BY total DESC, user_name`,
+                params
+            );
+            return { users: result.rows };
+        }
+    };
+});
@@ -0,0 +1,378 @@
+// userController.js
+// User administration (admin only): accounts, roles, deactivation and signup invitations.
+
+const crypto = require('crypto');
+const pool = require('../config/db');
+const settings = require('../config/settings');
+const { ROLES } = require('../config/roles');
+const { tableColumns, listOptions } = require('../config/tables');
+const { buildListQuery, applyPagination, escapeLike } = require('../utils/listQuery');
+const { diffRecords, isEmptyDiff } = require('../utils/recordDiff');
+const { validatePayload } = require('../utils/validate');
+const { revokeUserSessions } = require('../utils/sessions');
+const { sendMail } = require('../mail');
+const { logAction } = require('./dataController');
+
+const USER_COLUMNS = listOptions.users.columns.join(', ');
+const INVITATION_COLUMNS = 'id, email, user_role, invited_by, created_at, expires_at, accepted_at, accepted_user_id, revoked_at';
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Adds `last_login_at` (latest LOGIN entry of audit_logs) to user rows.
+ * @param {object[]} users
+ * @returns {Promise<object[]>}
+ */
+const withLastLogin = async (users) => {
+    if (users.length === 0) return users;
+    const result = await pool.query(
+        `SELECT user_id, MAX(logged_at) AS last_login_at FROM audit_logs
+         WHERE action = 'LOGIN' AND user_id = ANY($1) GROUP BY user_id`,
+        [users.map(user => user.id)]
+    );
+    const lastLogins = new Map(result.rows.map(row => [row.user_id, row.last_login_at]));
+    return users.map(user => ({ ...user, last_login_at: lastLogins.get(user.id) || null }));
+};
+
+/**
+ * Throws a 409 error when a change would leave no active admin.
+ * @param {object} client - Transaction client (the target user row must already be locked).
+ * @param {number|string} userId - The user being demoted or deactivated.
+ */
+const assertNotLastAdmin = async (client, userId) => {
+    const result = await client.query(
+        "SELECT COUNT(*)::int AS admins FROM users WHERE user_role = 'admin' AND is_active AND id <> $1",
+        [userId]
+    );
+    if (result.rows[0].admins === 0) {
+        const error = new Error('This is the last active admin account. Promote another user to admin first.');
+        error.status = 409;
+        throw error;
+    }
+};
+
+// GET Users. Supports the list parameters of utils/listQuery.js (e.g. ?user_role=editor&is_active=false)
+// plus ?q= to search email and display name.
+exports.getUsers = async (req, res) => {
+    const { q, ...query } = req.query;
+    const conditions = [];
+    const params = [];
+
+    if (q) {
+        params.push(`%${escapeLike(q)}%`);
+        conditions.push(`(email ILIKE $${params.length} OR display_name ILIKE $${params.length})`);
+    }
+
+    try {
+        // Never fall back to SELECT *, which would return password hashes
+        const listQuery = buildListQuery('users', { ...query, fields: query.fields || USER_COLUMNS }, { ...listOptions.users, conditions, params });
+
+        const [result, countResult] = await Promise.all([
+            pool.query(listQuery.text, listQuery.params),
+            pool.query(listQuery.countText, listQuery.countParams)
+        ]);
+
+        const rows = applyPagination(req, res, listQuery, result.rows, countResult.rows[0].total);
+        // last_login_at needs the id, which ?fields may have left out
+        res.status(200).json(rows.length > 0 && 'id' in rows[0] ? await withLastLogin(rows) : rows);
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Error fetching users:', error);
+        res.status(500).json({ message: 'Error fetching users.' });
+    }
+};
+
+// GET User, with last login and number of live sessions
+exports.getUser = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const result = await pool.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [id]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ message: `User with ID ${id} not found.` });
+        }
+
+        const sessionsResult = await pool.query(
+            'SELECT COUNT(*)::int AS active_sessions FROM sessions WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()',
+            [id]
+        );
+        const [user] = await withLastLogin(result.rows);
+        res.status(200).json({ ...user, active_sessions: sessionsResult.rows[0].active_sessions });
+    } catch (error) {
+        console.error(`Error fetching user ${id}:`, error);
+        res.status(500).json({ message: `Error fetching user with ID ${id}.` });
+    }
+};
+
+// UPDATE User: { user_role?, display_name? }. A role change applies on the user's next request.
+exports.updateUser = async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const userName = req.user.displayName;
+
+    const { values: payload, errors } = validatePayload('users', req.body, { partial: true });
+    if (errors) {
+        return res.status(400).json({ message: 'Validation failed.', errors });
+    }
+    if (Object.keys(payload).length === 0) {
+        return res.status(400).json({ message: `Nothing to update. Editable fields: ${tableColumns.users.join(', ')}.` });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN'); // Start transaction
+
+        const oldResult = await client.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1 FOR UPDATE`, [id]);
+        const oldUser = oldResult.rows[0];
+        if (!oldUser) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: `User with ID ${id} not found.` });
+        }
+
+        if (oldUser.user_role === 'admin' && payload.user_role && payload.user_role !== 'admin' && oldUser.is_active) {
+            await assertNotLastAdmin(client, id);
+        }
+
+        const columns = Object.keys(payload);
+        const setClauses = columns.map((column, i) => `${column} = $${i + 1}`).join(', ');
+        const result = await client.query(
+            `UPDATE users SET ${setClauses} WHERE id = $${columns.length + 1} RETURNING ${USER_COLUMNS}`,
+            [...Object.values(payload), id]
+        );
+        const user = result.rows[0];
+
+        const diff = diffRecords(oldUser, user, tableColumns.users, null);
+        if (!isEmptyDiff(diff)) {
+            await logAction('UPDATE', 'users', id, userId, userName, diff, client);
+        }
+
+        await client.query('COMMIT'); // Commit transaction
+        res.status(200).json(user);
+
+    } catch (error) {
+        await client.query('ROLLBACK'); // Rollback on error
+        if (error.status === 409) {
+            return res.status(409).json({ message: error.message });
+        }
+        console.error(`Error updating user ${id}:`, error);
+        res.status(500).json({ message: 'Error updating user.' });
+    } finally {
+        client.release();
+    }
+};
+
+// DEACTIVATE User: blocks login, refresh and every existing session at once.
+// Body: { reason? } (kept in the audit entry)
+exports.deactivateUser = async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const userName = req.user.displayName;
+
+    if (String(id) === String(userId)) {
+        return res.status(400).json({ message: 'You cannot deactivate your own account.' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN'); // Start transaction
+
+        const oldResult = await client.query('SELECT id, user_role, is_active FROM users WHERE id = $1 FOR UPDATE', [id]);
+        const oldUser = oldResult.rows[0];
+        if (!oldUser) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: `User with ID ${id} not found.` });
+        }
+        if (!oldUser.is_active) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ message: `User with ID ${id} is already deactivated.` });
+        }
+        if (oldUser.user_role === 'admin') {
+            await assertNotLastAdmin(client, id);
+        }
+
+        const result = await client.query(
+            `UPDATE users SET is_active = FALSE, deactivated_at = NOW(), deactivated_by = $1 WHERE id = $2 RETURNING ${USER_COLUMNS}`,
+            [userId, id]
+        );
+        const revoked = await revokeUserSessions(id, 'user_deactivated', client);
+        // Pending reset links must not bring the account back
+        await client.query('DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL', [id]);
+
+        await logAction('DEACTIVATE_USER', 'users', id, userId, userName, {
+            reason: req.body.reason || null,
+            revoked_sessions: revoked
+        }, client);
+
+        await client.query('COMMIT'); // Commit transaction
+        res.status(200).json(result.rows[0]);
+
+    } catch (error) {
+        await client.query('ROLLBACK'); // Rollback on error
+        if (error.status === 409) {
+            return res.status(409).json({ message: error.message });
+        }
+        console.error(`Error deactivating user ${id}:`, error);
+        res.status(500).json({ message: 'Error deactivating user.' });
+    } finally {
+        client.release();
+    }
+};
+
+// REACTIVATE User (also clears a login lockout)
+exports.reactivateUser = async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const userName = req.user.displayName;
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN'); // Start transaction
+
+        const result = await client.query(
+            `UPDATE users SET is_active = TRUE, deactivated_at = NULL, deactivated_by = NULL, failed_login_count = 0, locked_until = NULL
+             WHERE id = $1 AND NOT is_active RETURNING ${USER_COLUMNS}`,
+            [id]
+        );
+
+        if (result.rowCount === 0) {
+            await client.query('ROLLBACK');
+            const exists = await pool.query('SELECT 1 FROM users WHERE id = $1', [id]);
+            return exists.rowCount === 0
+                ? res.status(404).json({ message: `User with ID ${id} not found.` })
+                : res.status(409).json({ message: `User with ID ${id} is already active.` });
+        }
+
+        await logAction('REACTIVATE_USER', 'users', id, userId, userName, { reason: req.body.reason || null }, client);
+
+        await client.query('COMMIT'); // Commit transaction
+        res.status(200).json(result.rows[0]);
+
+    } catch (error) {
+        await client.query('ROLLBACK'); // Rollback on error
+        console.error(`Error reactivating user ${id}:`, error);
+        res.status(500).json({ message: 'Error reactivating user.' });
+    } finally {
+        client.release();
+    }
+};
+
+// --- INVITATIONS ---
+
+// GET Invitations, newest first. ?status=pending|accepted|revoked|expired
+exports.getInvitations = async (req, res) => {
+    const STATUS_CONDITIONS = {
+        pending: 'accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()',
+        accepted: 'accepted_at IS NOT NULL',
+        revoked: 'revoked_at IS NOT NULL',
+        expired: 'accepted_at IS NULL AND revoked_at IS NULL AND expires_at <= NOW()'
+    };
+    const { status } = req.query;
+
+    if (status && !STATUS_CONDITIONS[status]) {
+        return res.status(400).json({ message: `Unknown status "${status}". Use ${Object.keys(STATUS_CONDITIONS).join(', ')}.` });
+    }
+
+    try {
+        const result = await pool.query(
+            `SELECT ${INVITATION_COLUMNS} FROM user_invitations
+             ${status ? `WHERE ${STATUS_CONDITIONS[status]}` : ''} ORDER BY created_at DESC`
+        );
+        res.status(200).json(result.rows);
+    } catch (error) {
+        console.error('Error fetching invitations:', error);
+        res.status(500).json({ message: 'Error fetching invitations.' });
+    }
+};
+
+// CREATE Invitation: { email, user_role? } (defaults to viewer). Emails a one-time signup link;
+// inviting the same email again replaces the pending invitation.
+exports.createInvitation = async (req, res) => {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+    const userRole = req.body.user_role || 'viewer';
+    const userId = req.user.id;
+    const userName = req.user.displayName;
+
+    const errors = {};
+    if (!EMAIL_PATTERN.test(email)) errors.email = ['must be a valid email address'];
+    if (!ROLES.includes(userRole)) errors.user_role = [`must be one of: ${ROLES.join(', ')}`];
+    if (Object.keys(errors).length > 0) {
+        return res.status(400).json({ message: 'Validation failed.', errors });
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const client = await pool.connect();
+    let invitation;
+    try {
+        await client.query('BEGIN'); // Start transaction
+
+        const existing = await client.query('SELECT id FROM users WHERE LOWER(email) = LOWER($1)', [email]);
+        if (existing.rowCount > 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ message: 'A user with this email already exists.' });
+        }
+
+        await client.query(
+            'UPDATE user_invitations SET revoked_at = NOW() WHERE LOWER(email) = LOWER($1) AND accepted_at IS NULL AND revoked_at IS NULL',
+            [email]
+        );
+        const result = await client.query(
+            `INSERT INTO user_invitations (email, user_role, token_hash, invited_by, expires_at)
+             VALUES ($1, $2, $3, $4, NOW() + $5 * INTERVAL '1 day') RETURNING ${INVITATION_COLUMNS}`,
+            [email, userRole, hashToken(token), userId, settings.signup.invitationTtlDays]
+        );
+        invitation = result.rows[0];
+
+        await logAction('INVITE_USER', 'users', null, userId, userName, {
+            invitation_id: invitation.id,
+            email,
+            role: userRole
+        }, client);
+
+        await client.query('COMMIT'); // Commit transaction
+    } catch (error) {
+        await client.query('ROLLBACK'); // Rollback on error
+        console.error('Error creating invitation:', error);
+        return res.status(500).json({ message: 'Error creating invitation.' });
+    } finally {
+        client.release();
+    }
+
+    try {
+        const separator = settings.signup.invitationUrl.includes('?') ? '&' : '?';
+        await sendMail({
+            to: email,
+            subject: 'You are invited to Product DB',
+            text: `Hello,\n\n${userName} invited you to Product DB as ${userRole}. Use this link to create your account (it expires in ${settings.signup.invitationTtlDays} days):\n${settings.signup.invitationUrl}${separator}invitation=${token}&email=${encodeURIComponent(email)}`
+        });
+        res.status(201).json({ ...invitation, email_sent: true });
+    } catch (error) {
+        console.error(`Mail error: Failed to send invitation ${invitation.id}:`, error);
+        res.status(201).json({ ...invitation, email_sent: false });
+    }
+};
+
+// REVOKE a pending Invitation
+exports.revokeInvitation = async (req, res) => {
+    const { invitationId } = req.params;
+    try {
+        const result = await pool.query(
+            `UPDATE user_invitations SET revoked_at = NOW()
+             WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL RETURNING ${INVITATION_COLUMNS}`,
+            [invitationId]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ message: `No pending invitation with ID ${invitationId}.` });
+        }
+
+        await logAction('REVOKE_INVITATION', 'users', null, req.user.id, req.user.displayName, {
+            invitation_id: result.rows[0].id,
+            email: result.rows[0].email
+        });
+        res.status(200).json(result.rows[0]);
+    } catch (error) {
+        console.error(`Error revoking invitation ${invitationId}:`, error);
+        res.status(500).json({ message: 'Error revoking invitation.' });
+    }
+};
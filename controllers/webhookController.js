@@ -0,0 +1,363 @@
+// webhookController.js
+// Webhook administration (admin only): subscriptions, deliveries, dead letters and event replay.
+// Delivery itself is done by the dispatcher in utils/webhooks.js.
+
+const pool = require('../config/db');
+const { buildListQuery, applyPagination } = require('../utils/listQuery');
+const { EVENT_TABLES, EVENT_ACTIONS } = require('../utils/outbox');
+const webhooks = require('../utils/webhooks');
+const { logAction } = require('./dataController');
+
+// The secret is only returned when it is created or rotated
+const SUBSCRIPTION_COLUMNS = 'id, url, event_types, description, is_active, created_by, created_at, updated_at';
+const MAX_URL_LENGTH = 2000;
+
+const DELIVERY_LIST_OPTIONS = {
+    columns: ['id', 'event_id', 'subscription_id', 'status', 'attempts', 'next_attempt_at', 'last_attempt_at',
+        'last_status_code', 'last_error', 'delivered_at', 'created_at'],
+    types: {
+        id: 'bigint', event_id: 'bigint', subscription_id: 'integer', attempts: 'integer', last_status_code: 'integer',
+        next_attempt_at: 'date', last_attempt_at: 'date', delivered_at: 'date', created_at: 'date'
+    },
+    defaultSort: '-id'
+};
+
+const EVENT_LIST_OPTIONS = {
+    columns: ['id', 'event_type', 'table_name', 'record_id', 'payload', 'created_at', 'dispatched_at'],
+    types: { id: 'bigint', record_id: 'integer', created_at: 'date', dispatched_at: 'date' },
+    defaultSort: '-id'
+};
+
+const isEventType = (type) => {
+    const [table, action, extra] = String(type).split('.');
+    return extra === undefined && EVENT_TABLES.includes(table) && (action === '*' || EVENT_ACTIONS.includes(action));
+};
+
+/**
+ * Validates a subscription payload.
+ * @param {object} body - { url, event_types?, description?, is_active? }
+ * @param {boolean} partial - PATCH: only the fields present are checked.
+ * @returns {{ values: object, errors: object|null }}
+ */
+const validateSubscription = (body, partial) => {
+    const values = {};
+    const errors = {};
+
+    if (!partial || body.url !== undefined) {
+        let url = null;
+        try {
+            url = new URL(String(body.url || ''));
+        } catch (e) {
+            // Reported below
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol) || String(body.url).length > MAX_URL_LENGTH) {
+            errors.url = ['must be an http(s) URL'];
+        } else {
+            values.url = url.toString();
+        }
+    }
+
+    if (body.event_types !== undefined) {
+        const types = Array.isArray(body.event_types)
+            ? body.event_types
+            : String(body.event_types || '').split(',').map(type => type.trim()).filter(Boolean);
+        const unknown = types.filter(type => !isEventType(type));
+        if (unknown.length > 0) {
+            errors.event_types = [`unknown event type(s): ${unknown.join(', ')}. Use <${EVENT_TABLES.join('|')}>.<${EVENT_ACTIONS.join('|')}|*>`];
+        } else {
+            values.event_types = [...new Set(types)];
+        }
+    }
+
+    if (body.description !== undefined) {
+        values.description = body.description === null ? null : String(body.description).slice(0, 255);
+    }
+
+    if (body.is_active !== undefined) {
+        if (typeof body.is_active !== 'boolean') {
+            errors.is_active = ['must be true or false'];
+        } else {
+            values.is_active = body.is_active;
+        }
+    }
+
+    return { values, errors: Object.keys(errors).length > 0 ? errors : null };
+};
+
+// --- SUBSCRIPTIONS ---
+
+// GET Subscriptions, with their number of pending and dead-lettered deliveries
+exports.getSubscriptions = async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT ${SUBSCRIPTION_COLUMNS.split(', ').map(column => `s.${column}`).join(', ')},
+                    COUNT(d.id) FILTER (WHERE d.status = 'pending')::int AS pending_deliveries,
+                    COUNT(d.id) FILTER (WHERE d.status = 'dead')::int AS dead_deliveries,
+                    MAX(d.delivered_at) AS last_delivered_at
+             FROM webhook_subscriptions s
+             LEFT JOIN webhook_deliveries d ON d.subscription_id = s.id
+             GROUP BY s.id ORDER BY s.id`
+        );
+        res.status(200).json(result.rows);
+    } catch (error) {
+        console.error('Error fetching webhook subscriptions:', error);
+        res.status(500).json({ message: 'Error fetching webhook subscriptions.' });
+    }
+};
+
+// GET Subscription
+exports.getSubscription = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const result = await pool.query(`SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions WHERE id = $1`, [id]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ message: `Webhook subscription with ID ${id} not found.` });
+        }
+        res.status(200).json(result.rows[0]);
+    } catch (error) {
+        console.error(`Error fetching webhook subscription ${id}:`, error);
+        res.status(500).json({ message: 'Error fetching webhook subscription.' });
+    }
+};
+
+// CREATE Subscription: { url, event_types?, description? }. The response holds the signing secret,
+// which is not shown again (rotate it if it is lost). Only events from now on are delivered.
+exports.createSubscription = async (req, res) => {
+    const { values, errors } = validateSubscription(req.body, false);
+    if (errors) {
+        return res.status(400).json({ message: 'Validation failed.', errors });
+    }
+
+    const secret = webhooks.newSecret();
+    try {
+        const result = await pool.query(
+            `INSERT INTO webhook_subscriptions (url, secret, event_types, description, is_active, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6) RETURNING ${SUBSCRIPTION_COLUMNS}`,
+            [values.url, secret, values.event_types || [], values.description || null, values.is_active !== false, req.user.id]
+        );
+        const subscription = result.rows[0];
+
+        await logAction('CREATE_WEBHOOK', 'webhook_subscriptions', subscription.id, req.user.id, req.user.displayName, {
+            url: subscription.url,
+            event_types: subscription.event_types
+        });
+        res.status(201).json({ ...subscription, secret });
+    } catch (error) {
+        console.error('Error creating webhook subscription:', error);
+        res.status(500).json({ message: 'Error creating webhook subscription.' });
+    }
+};
+
+// UPDATE Subscription: any of { url, event_types, description, is_active }.
+// A paused subscription (is_active=false) keeps its pending deliveries until it is resumed.
+exports.updateSubscription = async (req, res) => {
+    const { id } = req.params;
+    const { values, errors } = validateSubscription(req.body, true);
+    if (errors) {
+        return res.status(400).json({ message: 'Validation failed.', errors });
+    }
+    const columns = Object.keys(values);
+    if (columns.length === 0) {
+        return res.status(400).json({ message: 'Nothing to update. Editable fields: url, event_types, description, is_active.' });
+    }
+
+    try {
+        const setClauses = columns.map((column, i) => `${column} = $${i + 1}`).join(', ');
+        const result = await pool.query(
+            `UPDATE webhook_subscriptions SET ${setClauses}, updated_at = NOW() WHERE id = $${columns.length + 1} RETURNING ${SUBSCRIPTION_COLUMNS}`,
+            [...Object.values(values), id]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ message: `Webhook subscription with ID ${id} not found.` });
+        }
+
+        await logAction('UPDATE_WEBHOOK', 'webhook_subscriptions', id, req.user.id, req.user.displayName, values);
+        res.status(200).json(result.rows[0]);
+    } catch (error) {
+        console.error(`Error updating webhook subscription ${id}:`, error);
+        res.status(500).json({ message: 'Error updating webhook subscription.' });
+    }
+};
+
+// DELETE Subscription, with its deliveries
+exports.deleteSubscription = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const result = await pool.query('DELETE FROM webhook_subscriptions WHERE id = $1 RETURNING url', [id]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ message: `Webhook subscription with ID ${id} not found.` });
+        }
+
+        await logAction('DELETE_WEBHOOK', 'webhook_subscriptions', id, req.user.id, req.user.displayName, { url: result.rows[0].url });
+        res.status(204).send();
+    } catch (error) {
+        console.error(`Error deleting webhook subscription ${id}:`, error);
+        res.status(500).json({ message: 'Error deleting webhook subscription.' });
+    }
+};
+
+// ROTATE Secret: the old secret stops working at once
+exports.rotateSecret = async (req, res) => {
+    const { id } = req.params;
+    const secret = webhooks.newSecret();
+    try {
+        const result = await pool.query(
+            `UPDATE webhook_subscriptions SET secret = $1, updated_at = NOW() WHERE id = $2 RETURNING ${SUBSCRIPTION_COLUMNS}`,
+            [secret, id]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ message: `Webhook subscription with ID ${id} not found.` });
+        }
+
+        await logAction('ROTATE_WEBHOOK_SECRET', 'webhook_subscriptions', id, req.user.id, req.user.displayName, {});
+        res.status(200).json({ ...result.rows[0], secret });
+    } catch (error) {
+        console.error(`Error rotating secret of webhook subscription ${id}:`, error);
+        res.status(500).json({ message: 'Error rotating webhook secret.' });
+    }
+};
+
+// TEST Subscription: sends a signed 'webhook.test' event right away and reports the answer
+// (nothing is written to the outbox, nothing is retried)
+exports.testSubscription = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const result = await pool.query('SELECT id, url, secret FROM webhook_subscriptions WHERE id = $1', [id]);
+        const subscription = result.rows[0];
+        if (!subscription) {
+            return res.status(404).json({ message: `Webhook subscription with ID ${id} not found.` });
+        }
+
+        const event = {
+            id: 0,
+            event_type: 'webhook.test',
+            table_name: null,
+            record_id: null,
+            created_at: new Date(),
+            payload: { actor: { id: req.user.id, name: req.user.displayName } }
+        };
+        const outcome = await webhooks.send(subscription.url, subscription.secret, event, `test-${Date.now()}`);
+        res.status(200).json({ url: subscription.url, ...outcome });
+    } catch (error) {
+        console.error(`Error testing webhook subscription ${id}:`, error);
+        res.status(500).json({ message: 'Error testing webhook subscription.' });
+    }
+};
+
+// --- DELIVERIES AND EVENTS ---
+
+// GET Deliveries, newest first. List parameters of utils/listQuery.js, e.g. the dead-letter list is
+// ?status=dead, and ?subscription_id=3&status=pending shows what a subscriber has not received yet.
+exports.getDeliveries = async (req, res) => {
+    try {
+        const listQuery = buildListQuery('webhook_deliveries', req.query, DELIVERY_LIST_OPTIONS);
+        const [result, countResult] = await Promise.all([
+            pool.query(listQuery.text, listQuery.params),
+            pool.query(listQuery.countText, listQuery.countParams)
+        ]);
+        res.status(200).json(applyPagination(req, res, listQuery, result.rows, countResult.rows[0].total));
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Error fetching webhook deliveries:', error);
+        res.status(500).json({ message: 'Error fetching webhook deliveries.' });
+    }
+};
+
+// RETRY Delivery: queues one delivery again (typically a dead letter) with a fresh attempt count
+exports.retryDelivery = async (req, res) => {
+    const { deliveryId } = req.params;
+    try {
+        const result = await pool.query(
+            `UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = NOW(), last_error = NULL,
+                    last_status_code = NULL, delivered_at = NULL
+             WHERE id = $1 RETURNING *`,
+            [deliveryId]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ message: `Webhook delivery with ID ${deliveryId} not found.` });
+        }
+
+        await logAction('REPLAY_WEBHOOK_EVENTS', 'webhook_subscriptions', result.rows[0].subscription_id, req.user.id, req.user.displayName, {
+            delivery_id: result.rows[0].id,
+            event_id: result.rows[0].event_id
+        });
+        res.status(200).json(result.rows[0]);
+    } catch (error) {
+        console.error(`Error retrying webhook delivery ${deliveryId}:`, error);
+        res.status(500).json({ message: 'Error retrying webhook delivery.' });
+    }
+};
+
+// GET Events of the outbox, newest first (e.g. ?table_name=products&record_id=12)
+exports.getEvents = async (req, res) => {
+    try {
+        const listQuery = buildListQuery('outbox_events', req.query, EVENT_LIST_OPTIONS);
+        const [result, countResult] = await Promise.all([
+            pool.query(listQuery.text, listQuery.params),
+            pool.query(listQuery.countText, listQuery.countParams)
+        ]);
+        res.status(200).json(applyPagination(req, res, listQuery, result.rows, countResult.rows[0].total));
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Error fetching outbox events:', error);
+        res.status(500).json({ message: 'Error fetching outbox events.' });
+    }
+};
+
+// REPLAY Events: { event_ids? | from_id? | since?, table_name?, record_id?, subscription_id? }
+// Queues the selected events again for every matching active subscription, or only for
+// subscription_id (e.g. a new subscriber catching up). At least one of event_ids, from_id or since is required.
+exports.replayEvents = async (req, res) => {
+    const body = req.body || {};
+    const errors = {};
+    const filters = {};
+
+    const toId = (value, field) => {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 1) errors[field] = ['must be a positive integer'];
+        return number;
+    };
+
+    if (body.event_ids !== undefined) {
+        if (!Array.isArray(body.event_ids) || body.event_ids.length === 0) {
+            errors.event_ids = ['must be a non-empty array of event ids'];
+        } else {
+            filters.eventIds = body.event_ids.map(value => toId(value, 'event_ids'));
+        }
+    }
+    if (body.from_id !== undefined) filters.fromId = toId(body.from_id, 'from_id');
+    if (body.since !== undefined) {
+        if (Number.isNaN(Date.parse(body.since))) errors.since = ['must be a valid date'];
+        filters.since = body.since;
+    }
+    if (body.table_name !== undefined) {
+        if (!EVENT_TABLES.includes(body.table_name)) errors.table_name = [`must be one of: ${EVENT_TABLES.join(', ')}`];
+        filters.tableName = body.table_name;
+    }
+    if (body.record_id !== undefined) filters.recordId = toId(body.record_id, 'record_id');
+    if (body.subscription_id !== undefined) filters.subscriptionId = toId(body.subscription_id, 'subscription_id');
+
+    if (!filters.eventIds && filters.fromId === undefined && filters.since === undefined) {
+        errors._request = ['event_ids, from_id or since is required'];
+    }
+    if (Object.keys(errors).length > 0) {
+        return res.status(400).json({ message: 'Validation failed.', errors });
+    }
+
+    try {
+        const queued = await webhooks.replayEvents(filters);
+
+        await logAction('REPLAY_WEBHOOK_EVENTS', 'webhook_subscriptions', filters.subscriptionId || null, req.user.id, req.user.displayName, {
+            filters: body,
+            queued
+        });
+        res.status(202).json({ queued });
+    } catch (error) {
+        console.error('Error replaying webhook events:', error);
+        res.status(500).json({ message: 'Error replaying webhook events.' });
+    }
+};
@@ -1,8 +1,6 @@
 const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
-const path = require('path');
-const mime = require('mime-types'); // ✅ CORRECT: Imported 'mime-types'
 
 // Load environment variables (must be first)
 dotenv.config();
@@ -13,15 +11,32 @@ require('./config/db');
 
 // --- 1. CONFIGURATION ---
 const PORT = process.env.PORT || 3001;
+const settings = require('./config/settings');
 
 // --- 2. IMPORT COMPONENTS ---
 const authenticate = require('./middleware/authMiddleware');
+const authorize = require('./middleware/roleMiddleware');
+const rateLimit = require('./middleware/rateLimitMiddleware');
+const validateIdParam = require('./middleware/idParamMiddleware');
 const authController = require('./controllers/authController');
 const dataController = require('./controllers/dataController'); 
 const fileController = require('./controllers/fileController');
+const searchController = require('./controllers/searchController');
+const auditController = require('./controllers/auditController');
+const exportController = require('./controllers/exportController');
+const importController = require('./controllers/importController');
+const attachmentController = require('./controllers/attachmentController');
+const userController = require('./controllers/userController');
+const reviewController = require('./controllers/reviewController');
+const webhookController = require('./controllers/webhookController');
+const liveController = require('./controllers/liveController');
+const statsController = require('./controllers/statsController');
+const sessions = require('./utils/sessions');
+const webhooks = require('./utils/webhooks');
 
 
 const app = express();
+app.set('trust proxy', settings.trustProxy);
 
 // --- 3. MIDDLEWARE ---
 // Define the single allowed production origin (must use HTTPS)
@@ -45,8 +60,10 @@ app.use(cors({
     console.log('[CORS] Origin blocked:', origin);
     callback(new Error('Not allowed by CORS'));
   },
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'If-Match'],
+  // Pagination metadata sent by the list endpoints, record version for If-Match, download names
+  exposedHeaders: ['X-Total-Count', 'Link', 'ETag', 'Content-Disposition'],
   credentials: true,
   optionsSuccessStatus: 200 // Some legacy browsers choke on 204
 }));
@@ -57,8 +74,8 @@ app.options('*', (req, res) => {
   if (allowedOrigins.includes(req.headers.origin)) {
     res.header('Access-Control-Allow-Origin', req.headers.origin);
   }
-  res.header('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type,Authorization');
+  res.header('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type,Authorization,If-Match');
   res.header('Access-Control-Allow-Credentials', 'true');
   res.sendStatus(200);
 });
@@ -72,7 +89,10 @@ app.use((req, res, next) => {
    next();
 });
 
-app.use(express.json({ limit: '10mb' })); 
+app.use(express.json({ limit: '10mb' }));
+
+// Numeric route parameters, e.g. GET /api/products/abc answers 400 instead of reaching the database
+app.param(['id', 'attachmentId', 'deliveryId', 'invitationId'], validateIdParam); 
 
 // 2. CRITICAL FIX: Add headers to allow file content to be viewed in an iframe 
 app.use((req, res, next) => {
@@ -84,15 +104,10 @@ app.use((req, res, next) => {
     next();
 });
 
-// 3. Serve static files with correct MIME types for the Google Viewer
-app.use('/uploads', express.static(path.join(__dirname, 'uploads'), {
-    setHeaders: (res, filePath, stat) => {
-        const mimeType = mime.lookup(filePath); 
-        if (mimeType) {
-            res.setHeader('Content-Type', mimeType);
-        }
-    }
-}));
+// 3. Serve uploaded files from the storage backend (local disk or S3) with correct MIME types for the Google Viewer
+// (?size=thumb|medium serves a resized copy of pictures). Requires a Bearer token or a signed
+// link (?expires=&sig=) as returned by the API, since the Google Viewer cannot send headers.
+app.get('/uploads/:filename', fileController.requireFileAccess, fileController.serveFile);
 
 // --- 4. ROUTES ---
 app.get('/', (req, res) => {
@@ -100,30 +115,157 @@ app.get('/', (req, res) => {
 });
 
 // --- PUBLIC AUTH ROUTES ---
-app.post('/api/auth/signup', authController.signup);
-app.post('/api/auth/login', authController.login);
+app.post('/api/auth/signup', rateLimit('signup'), authController.signup);
+app.post('/api/auth/login', rateLimit('login'), authController.login);
+app.post('/api/auth/refresh', authController.refresh);
+app.post('/api/auth/forgot-password', rateLimit('forgot-password'), authController.forgotPassword);
+app.post('/api/auth/reset-password', rateLimit('reset-password'), authController.resetPassword);
 app.post('/api/auth/logout', authenticate, authController.logout);
+app.get('/api/auth/sessions', authenticate, authController.getMySessions);
+app.post('/api/auth/change-password', authenticate, authController.changePassword);
+
+// --- USER ADMINISTRATION (admin only) ---
+app.get('/api/users', authenticate, authorize('read', 'users'), userController.getUsers);
+// Invitation routes are declared before '/:id' so that 'invitations' is not read as an id
+app.get('/api/users/invitations', authenticate, authorize('invite', 'users'), userController.getInvitations);
+app.post('/api/users/invitations', authenticate, authorize('invite', 'users'), userController.createInvitation);
+app.delete('/api/users/invitations/:invitationId', authenticate, authorize('invite', 'users'), userController.revokeInvitation);
+app.get('/api/users/:id', authenticate, authorize('read', 'users'), userController.getUser);
+app.patch('/api/users/:id', authenticate, authorize('update', 'users'), userController.updateUser);
+app.post('/api/users/:id/deactivate', authenticate, authorize('update', 'users'), userController.deactivateUser);
+app.post('/api/users/:id/reactivate', authenticate, authorize('update', 'users'), userController.reactivateUser);
+// Session administration: list a user's sessions or revoke them all
+app.get('/api/users/:id/sessions', authenticate, authorize('read', 'sessions'), authController.getUserSessions);
+app.delete('/api/users/:id/sessions', authenticate, authorize('revoke', 'sessions'), authController.revokeUserSessions);
+
 
+// --- LIVE CHANGE FEED ---
+// Server-Sent Events stream of changes and presence (see controllers/liveController.js)
+app.get('/api/live', liveController.acceptQueryToken, authenticate, liveController.stream);
+app.get('/api/live/presence', authenticate, liveController.getPresence);
+app.post('/api/live/presence', authenticate, liveController.updatePresence);
 
-// Logs endpoint (Requires Auth, Read-Only)
-app.get('/api/audit_logs', authenticate, dataController.getAllItems('audit_logs'));
 
-// --- PROTECTED CRUD ROUTES (ALL require authentication) ---
+// --- WEBHOOKS (admin only) ---
+// Subscriptions receive signed POSTs for catalogue changes (see utils/webhooks.js)
+app.get('/api/webhooks', authenticate, authorize('read', 'webhooks'), webhookController.getSubscriptions);
+app.post('/api/webhooks', authenticate, authorize('manage', 'webhooks'), webhookController.createSubscription);
+// Delivery and event routes are declared before '/:id' so that they are not read as an id
+app.get('/api/webhooks/deliveries', authenticate, authorize('read', 'webhooks'), webhookController.getDeliveries);
+app.post('/api/webhooks/deliveries/:deliveryId/retry', authenticate, authorize('manage', 'webhooks'), webhookController.retryDelivery);
+app.get('/api/webhooks/events', authenticate, authorize('read', 'webhooks'), webhookController.getEvents);
+app.post('/api/webhooks/events/replay', authenticate, authorize('manage', 'webhooks'), webhookController.replayEvents);
+app.get('/api/webhooks/:id', authenticate, authorize('read', 'webhooks'), webhookController.getSubscription);
+app.patch('/api/webhooks/:id', authenticate, authorize('manage', 'webhooks'), webhookController.updateSubscription);
+app.delete('/api/webhooks/:id', authenticate, authorize('manage', 'webhooks'), webhookController.deleteSubscription);
+app.post('/api/webhooks/:id/rotate-secret', authenticate, authorize('manage', 'webhooks'), webhookController.rotateSecret);
+app.post('/api/webhooks/:id/test', authenticate, authorize('manage', 'webhooks'), webhookController.testSubscription);
+
+
+// Logs endpoint (Requires Auth, Read-Only). LOGIN/LOGOUT entries are only returned to admins.
+app.get('/api/audit_logs', authenticate, authorize('read', 'audit_logs'), auditController.getAuditLogs);
+
+// --- PROTECTED CRUD ROUTES (ALL require authentication + a role allowed by config/roles.js) ---
+// Edits go through review (utils/workflow.js): PUT on a published record answers 202 with its pending draft.
 
 // Product Lines Routes
-app.get('/api/product_lines', authenticate, dataController.getAllItems('product_lines'));
-app.post('/api/product_lines', authenticate, fileController.upload, dataController.createItem('product_lines'));
-app.put('/api/product_lines/:id', authenticate, fileController.upload, dataController.updateItem('product_lines'));
-app.delete('/api/product_lines/:id', authenticate, dataController.deleteItem('product_lines'));
+app.get('/api/product_lines', authenticate, authorize('read', 'product_lines'), dataController.getAllItems('product_lines'));
+// Trash, export and drafts routes are declared before '/:id' so that they are not read as an id
+app.get('/api/product_lines/trash', authenticate, authorize('read', 'product_lines'), dataController.getTrash('product_lines'));
+app.get('/api/product_lines/export', authenticate, authorize('read', 'product_lines'), exportController.exportItems('product_lines'));
+app.get('/api/product_lines/drafts', authenticate, authorize('update', 'product_lines'), reviewController.getDrafts('product_lines'));
+app.post('/api/product_lines/trash/:id/restore', authenticate, authorize('restore', 'product_lines'), dataController.restoreItem('product_lines'));
+app.delete('/api/product_lines/trash/:id', authenticate, authorize('purge', 'product_lines'), dataController.purgeItem('product_lines'));
+app.get('/api/product_lines/:id', authenticate, authorize('read', 'product_lines'), dataController.getItem('product_lines'));
+app.get('/api/product_lines/:id/history', authenticate, authorize('read', 'audit_logs'), auditController.getRecordHistory('product_lines'));
+app.post('/api/product_lines', authenticate, authorize('create', 'product_lines'), fileController.upload, dataController.createItem('product_lines'));
+app.put('/api/product_lines/:id', authenticate, authorize('update', 'product_lines'), fileController.upload, dataController.updateItem('product_lines'));
+app.delete('/api/product_lines/:id', authenticate, authorize('delete', 'product_lines'), dataController.deleteItem('product_lines'));
+app.post('/api/product_lines/:id/revert', authenticate, authorize('update', 'product_lines'), dataController.revertItem('product_lines'));
+app.get('/api/product_lines/:id/draft', authenticate, authorize('update', 'product_lines'), reviewController.getDraft('product_lines'));
+app.delete('/api/product_lines/:id/draft', authenticate, authorize('update', 'product_lines'), reviewController.discardDraft('product_lines'));
+app.post('/api/product_lines/:id/approve', authenticate, authorize('review', 'product_lines'), reviewController.approve('product_lines'));
+app.post('/api/product_lines/:id/reject', authenticate, authorize('review', 'product_lines'), reviewController.reject('product_lines'));
+app.get('/api/product_lines/:id/attachments', authenticate, authorize('read', 'product_lines'), attachmentController.getAttachments('product_lines'));
+app.post('/api/product_lines/:id/attachments', authenticate, authorize('update', 'product_lines'), fileController.upload, attachmentController.addAttachments('product_lines'));
+app.put('/api/product_lines/:id/attachments/order', authenticate, authorize('update', 'product_lines'), attachmentController.reorderAttachments('product_lines'));
+app.get('/api/product_lines/:id/attachments/:attachmentId/download', authenticate, authorize('read', 'product_lines'), attachmentController.downloadAttachment('product_lines'));
+app.patch('/api/product_lines/:id/attachments/:attachmentId', authenticate, authorize('update', 'product_lines'), attachmentController.renameAttachment('product_lines'));
+app.delete('/api/product_lines/:id/attachments/:attachmentId', authenticate, authorize('update', 'product_lines'), attachmentController.deleteAttachment('product_lines'));
 
 // Products Routes
-app.get('/api/products', authenticate, dataController.getAllItems('products'));
-app.post('/api/products', authenticate, fileController.upload, dataController.createItem('products'));
-app.put('/api/products/:id', authenticate, fileController.upload, dataController.updateItem('products'));
-app.delete('/api/products/:id', authenticate, dataController.deleteItem('products'));
+app.get('/api/products', authenticate, authorize('read', 'products'), dataController.getAllItems('products'));
+app.get('/api/products/trash', authenticate, authorize('read', 'products'), dataController.getTrash('products'));
+app.get('/api/products/export', authenticate, authorize('read', 'products'), exportController.exportItems('products'));
+app.get('/api/products/drafts', authenticate, authorize('update', 'products'), reviewController.getDrafts('products'));
+app.post('/api/products/import', authenticate, authorize('create', 'products'), fileController.importUpload, importController.importProducts);
+app.post('/api/products/trash/:id/restore', authenticate, authorize('restore', 'products'), dataController.restoreItem('products'));
+app.delete('/api/products/trash/:id', authenticate, authorize('purge', 'products'), dataController.purgeItem('products'));
+app.get('/api/products/:id', authenticate, authorize('read', 'products'), dataController.getItem('products'));
+app.get('/api/products/:id/history', authenticate, authorize('read', 'audit_logs'), auditController.getRecordHistory('products'));
+app.post('/api/products', authenticate, authorize('create', 'products'), fileController.upload, dataController.createItem('products'));
+app.put('/api/products/:id', authenticate, authorize('update', 'products'), fileController.upload, dataController.updateItem('products'));
+app.delete('/api/products/:id', authenticate, authorize('delete', 'products'), dataController.deleteItem('products'));
+app.post('/api/products/:id/revert', authenticate, authorize('update', 'products'), dataController.revertItem('products'));
+app.get('/api/products/:id/draft', authenticate, authorize('update', 'products'), reviewController.getDraft('products'));
+app.delete('/api/products/:id/draft', authenticate, authorize('update', 'products'), reviewController.discardDraft('products'));
+app.post('/api/products/:id/approve', authenticate, authorize('review', 'products'), reviewController.approve('products'));
+app.post('/api/products/:id/reject', authenticate, authorize('review', 'products'), reviewController.reject('products'));
+app.get('/api/products/:id/attachments', authenticate, authorize('read', 'products'), attachmentController.getAttachments('products'));
+app.post('/api/products/:id/attachments', authenticate, authorize('update', 'products'), fileController.upload, attachmentController.addAttachments('products'));
+app.put('/api/products/:id/attachments/order', authenticate, authorize('update', 'products'), attachmentController.reorderAttachments('products'));
+app.get('/api/products/:id/attachments/:attachmentId/download', authenticate, authorize('read', 'products'), attachmentController.downloadAttachment('products'));
+app.patch('/api/products/:id/attachments/:attachmentId', authenticate, authorize('update', 'products'), attachmentController.renameAttachment('products'));
+app.delete('/api/products/:id/attachments/:attachmentId', authenticate, authorize('update', 'products'), attachmentController.deleteAttachment('products'));
+
+// Purge everything that has been in the trash longer than older_than_days (admin only)
+app.post('/api/trash/purge', authenticate, authorize('purge', 'trash'), dataController.purgeTrash);
+
+// Full-text search across products and product lines (results limited to readable tables)
+app.get('/api/search', authenticate, searchController.search);
+
+// Dashboard aggregates (see controllers/statsController.js); readers only count published records
+app.get('/api/stats/summary', authenticate, authorize('read', 'products'), statsController.getSummary);
+app.get('/api/stats/products-per-line', authenticate, authorize('read', 'products'), statsController.getProductsPerLine);
+app.get('/api/stats/products-by-location', authenticate, authorize('read', 'products'), statsController.getProductsByLocation);
+app.get('/api/stats/products-by-design-center', authenticate, authorize('read', 'products'), statsController.getProductsByDesignCenter);
+app.get('/api/stats/distributions', authenticate, authorize('read', 'products'), statsController.getDistributions);
+app.get('/api/stats/lines-in-development', authenticate, authorize('read', 'products'), statsController.getLinesInDevelopment);
+app.get('/api/stats/activity', authenticate, authorize('read', 'audit_logs'), statsController.getActivity);
 
 
 // --- 5. START SERVER ---
 app.listen(PORT, () => {
     console.log(`[API] Server listening on http://localhost:${PORT}`);
 });
+
+// --- 6. BACKGROUND JOBS ---
+// Trash retention: permanently delete records (and their files) trashed more than TRASH_RETENTION_DAYS ago
+if (settings.trash.retentionDays > 0 && settings.trash.purgeIntervalHours > 0) {
+    const purgeTrash = () => dataController.purgeExpiredTrash(settings.trash.retentionDays)
+        .then(summary => console.log('[TRASH] Retention purge finished:', JSON.stringify(summary)))
+        .catch(error => console.error('[TRASH] Retention purge failed:', error));
+
+    setInterval(purgeTrash, settings.trash.purgeIntervalHours * 60 * 60 * 1000).unref();
+}
+
+// Session cleanup: sessions that expired or were revoked a month ago are no longer shown to anyone
+const deleteStaleSessions = () => sessions.deleteStaleSessions(30)
+    .then(count => count > 0 && console.log(`[AUTH] Deleted ${count} stale session(s).`))
+    .catch(error => console.error('[AUTH] Session cleanup failed:', error));
+
+setInterval(deleteStaleSessions, 24 * 60 * 60 * 1000).unref();
+
+// Webhook dispatcher: delivers outbox events to subscribers and retries failed deliveries
+if (settings.webhooks.enabled) {
+    const dispatchWebhooks = () => webhooks.dispatchPending()
+        .catch(error => console.error('[WEBHOOKS] Dispatch failed:', error));
+
+    setInterval(dispatchWebhooks, settings.webhooks.pollIntervalSeconds * 1000).unref();
+
+    const deleteOldEvents = () => webhooks.deleteOldEvents(settings.webhooks.retentionDays)
+        .then(count => count > 0 && console.log(`[WEBHOOKS] Deleted ${count} delivered event(s).`))
+        .catch(error => console.error('[WEBHOOKS] Event cleanup failed:', error));
+
+    setInterval(deleteOldEvents, 24 * 60 * 60 * 1000).unref();
+}
@@ -0,0 +1,37 @@
+// /server/mail/index.js
+// Selects the mail transport from MAIL_TRANSPORT ('log' or 'smtp').
+// Every transport exposes: send({ from, to, subject, text }).
+
+const settings = require('../config/settings');
+const createLogTransport = require('./logTransport');
+const createSmtpTransport = require('./smtpTransport');
+
+const createTransport = () => {
+    // The log transport prints reset and invitation links to the console instead of sending them
+    if (settings.mail.transport !== 'smtp' && process.env.NODE_ENV === 'production') {
+        throw new Error('MAIL_TRANSPORT=smtp (with SMTP_HOST) must be configured when NODE_ENV=production.');
+    }
+    switch (settings.mail.transport) {
+        case 'log':
+            return createLogTransport();
+        case 'smtp':
+            return createSmtpTransport(settings.mail.smtp);
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT "${settings.mail.transport}". Use log or smtp.`);
+    }
+};
+
+const transport = createTransport();
+console.log(`[MAIL] Using ${transport.name} mail transport.`);
+
+/**
+ * Sends a plain-text email from MAIL_FROM.
+ * @param {object} message
+ * @param {string} message.to
+ * @param {string} message.subject
+ * @param {string} message.text
+ * @returns {Promise<void>}
+ */
+const sendMail = ({ to, subject, text }) => transport.send({ from: settings.mail.from, to, subject, text });
+
+module.exports = { sendMail };
@@ -0,0 +1,13 @@
+// /server/mail/logTransport.js
+// Development transport: prints messages to the console instead of sending them.
+// Reset links can be copied from the server log.
+
+const createLogTransport = () => ({
+    name: 'log',
+
+    send: async ({ from, to, subject, text }) => {
+        console.log(`[MAIL] From: ${from}\n[MAIL] To: ${to}\n[MAIL] Subject: ${subject}\n${text}`);
+    }
+});
+
+module.exports = createLogTransport;
@@ -0,0 +1,35 @@
+// /server/mail/smtpTransport.js
+// SMTP transport (any SMTP server, or a local stand-in such as MailHog or smtp4dev).
+
+const nodemailer = require('nodemailer');
+
+/**
+ * @param {object} options
+ * @param {string} options.host
+ * @param {number} options.port
+ * @param {boolean} options.secure - TLS from the start (port 465); otherwise STARTTLS when offered.
+ * @param {string} [options.user] - Leave empty for servers without authentication.
+ * @param {string} [options.pass]
+ */
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+    if (!host) {
+        throw new Error('SMTP_HOST is required when MAIL_TRANSPORT is smtp.');
+    }
+
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+    });
+
+    return {
+        name: 'smtp',
+
+        send: async ({ from, to, subject, text }) => {
+            await transporter.sendMail({ from, to, subject, text });
+        }
+    };
+};
+
+module.exports = createSmtpTransport;
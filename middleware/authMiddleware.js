@@ -1,9 +1,8 @@
 const jwt = require('jsonwebtoken');
+const settings = require('../config/settings');
+const { findActiveSession } = require('../utils/sessions');
 
-// Hardcoded JWT Secret (Copied from .env)
-const JWT_SECRET_HARDCODED = 'YOUR_COMPLEX_JWT_SECRET_HERE_A8G9F2J3L4K5P6'; 
-
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
     // Check for token in Authorization header (Bearer <token>)
     const authHeader = req.headers.authorization;
 
@@ -13,21 +12,44 @@ const authenticate = (req, res, next) => {
 
     const token = authHeader.split(' ')[1];
 
+    let decoded;
     try {
-        // Verify the token using the hardcoded secret
-        const decoded = jwt.verify(token, JWT_SECRET_HARDCODED); // <-- FIX: Replaced process.env.JWT_SECRET
-        
-        // Attach user info to the request for controllers
-        req.user = { 
-            id: decoded.id, 
-            email: decoded.email,
-            displayName: decoded.displayName 
-        };
-        next();
+        // Verify the token using the configured secret (JWT_SECRET)
+        decoded = jwt.verify(token, settings.auth.jwtSecret);
     } catch (err) {
-        console.error("JWT Verification failed:", err);
+        console.error("JWT Verification failed:", err.message);
         return res.status(401).json({ message: 'Invalid or expired token.' });
     }
+
+    // Tokens issued before server-side sessions existed cannot be revoked, so they are not accepted
+    if (!decoded.sid) {
+        return res.status(401).json({ message: 'Your session has expired. Please log in again.' });
+    }
+
+    try {
+        // The session must still be live (not logged out, not revoked by an admin)
+        const session = await findActiveSession(decoded.sid);
+        if (!session) {
+            return res.status(401).json({ message: 'Your session has been revoked. Please log in again.' });
+        }
+
+        // Attach user info to the request for controllers. The role is read from the
+        // database so that role changes apply without waiting for the token to expire.
+        req.user = {
+            id: session.user_id,
+            email: session.email,
+            displayName: session.display_name,
+            userRole: session.user_role,
+            sessionId: session.id,
+            // Long-lived requests (the live feed) end when the token does
+            tokenExpiresAt: decoded.exp * 1000
+        };
+    } catch (error) {
+        console.error('Session lookup failed:', error);
+        return res.status(500).json({ message: 'Server error during authentication.' });
+    }
+
+    next();
 };
 
-module.exports = authenticate;
\ No newline at end of file
+module.exports = authenticate;
@@ -0,0 +1,16 @@
+// Record ids are SERIAL columns: anything else would reach PostgreSQL and fail with a cast error
+const INT4_MAX = 2147483647;
+
+/**
+ * Route parameter handler (app.param) that answers 400 unless the value is a positive integer.
+ * @param {string} value - The raw parameter.
+ * @param {string} name - Parameter name, e.g. 'id'.
+ */
+const validateIdParam = (req, res, next, value, name) => {
+    if (!/^[1-9]\d*$/.test(value) || Number(value) > INT4_MAX) {
+        return res.status(400).json({ message: `Invalid ${name} "${value}": it must be a positive integer.` });
+    }
+    next();
+};
+
+module.exports = validateIdParam;
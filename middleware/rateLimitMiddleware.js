@@ -0,0 +1,44 @@
+const settings = require('../config/settings');
+
+/**
+ * Fixed-window rate limit per client IP, kept in memory (per instance).
+ * Used on the unauthenticated auth routes to slow down password guessing and reset-email spam;
+ * per-account lockout is handled by authController.login.
+ * @param {string} name - Bucket name, so that each route has its own counter.
+ * @param {object} [options]
+ * @param {number} [options.windowMinutes] - Defaults to AUTH_RATE_LIMIT_WINDOW_MINUTES.
+ * @param {number} [options.maxRequests] - Defaults to AUTH_RATE_LIMIT_MAX.
+ */
+const rateLimit = (name, { windowMinutes, maxRequests } = {}) => {
+    const windowMs = (windowMinutes || settings.auth.rateLimit.windowMinutes) * 60 * 1000;
+    const max = maxRequests || settings.auth.rateLimit.maxRequests;
+    const hits = new Map(); // ip -> { count, resetAt }
+
+    return (req, res, next) => {
+        const now = Date.now();
+        const key = req.ip;
+
+        // Drop finished windows so the map does not grow forever
+        if (hits.size > 10000) {
+            hits.forEach((entry, ip) => entry.resetAt <= now && hits.delete(ip));
+        }
+
+        let entry = hits.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(key, entry);
+        }
+        entry.count += 1;
+
+        if (entry.count > max) {
+            const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+            console.warn(`[RATE LIMIT] ${name}: ${key} exceeded ${max} requests.`);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({ message: `Too many requests. Try again in ${Math.ceil(retryAfter / 60)} minute(s).` });
+        }
+
+        next();
+    };
+};
+
+module.exports = rateLimit;
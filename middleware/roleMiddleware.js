@@ -0,0 +1,30 @@
+const { can, resolveRole } = require('../config/roles');
+const { logAction } = require('../controllers/dataController');
+
+/**
+ * Route guard that checks the authenticated user's role against config/roles.js.
+ * Must be mounted after `authenticate` so that req.user is populated.
+ * @param {string} action - An action listed in config/roles.js PERMISSIONS.
+ * @param {string} tableName - The table the route operates on.
+ */
+const authorize = (action, tableName) => async (req, res, next) => {
+    const { id: userId, displayName: userName, userRole } = req.user;
+
+    if (can(userRole, action, tableName)) {
+        return next();
+    }
+
+    console.warn(`[AUTHZ] User ${userId} (${userRole}) denied ${action} on ${tableName}.`);
+
+    // Audit Log (FORBIDDEN) - logAction never throws
+    await logAction('FORBIDDEN', tableName, req.params.id || null, userId, userName, {
+        attempted_action: action,
+        role: resolveRole(userRole) || userRole,
+        method: req.method,
+        path: req.originalUrl
+    });
+
+    return res.status(403).json({ message: `Your role does not allow you to ${action} ${tableName}.` });
+};
+
+module.exports = authorize;
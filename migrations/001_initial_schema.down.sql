@@ -0,0 +1,15 @@
+-- 001: Drops every table of the initial schema, data included.
+-- Refuses to run unless scripts/migrate.js was called with --allow-drop-initial, which sets
+-- migrate.allow_drop_initial for the transaction (this also protects against running it by hand).
+DO $$
+BEGIN
+    IF current_setting('migrate.allow_drop_initial', true) IS DISTINCT FROM 'on' THEN
+        RAISE EXCEPTION 'Refusing to drop the initial schema: run scripts/migrate.js down with --allow-drop-initial.';
+    END IF;
+END
+$$;
+
+DROP TABLE IF EXISTS audit_logs;
+DROP TABLE IF EXISTS products;
+DROP TABLE IF EXISTS product_lines;
+DROP TABLE IF EXISTS users;
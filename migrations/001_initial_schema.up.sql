@@ -0,0 +1,85 @@
+-- 001: Tables the API was originally written against.
+-- Written with IF NOT EXISTS so that it can also be applied to the existing production
+-- database, where these tables were created by hand.
+
+CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL UNIQUE,
+    password_hash TEXT NOT NULL,
+    display_name VARCHAR(255) NOT NULL,
+    -- 'user' is treated as 'viewer' (see config/roles.js)
+    user_role VARCHAR(50) NOT NULL DEFAULT 'user',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS product_lines (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL UNIQUE,
+    type_of_products TEXT,
+    manufacturing_locations TEXT,
+    design_center VARCHAR(255),
+    product_line_manager VARCHAR(255),
+    history TEXT,
+    type_of_customers TEXT,
+    metiers TEXT,
+    strength TEXT,
+    weakness TEXT,
+    perspectives TEXT,
+    compliance_resource_id VARCHAR(255),
+    -- JSON array of upload paths, e.g. '["uploads/attachments_raw-1700000000000.pdf"]'
+    attachments_raw TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS products (
+    id SERIAL PRIMARY KEY,
+    product_name VARCHAR(255) NOT NULL,
+    -- Name of the product line; product_line_id is resolved from it on create and update
+    product_line VARCHAR(255) NOT NULL,
+    product_line_id INTEGER REFERENCES product_lines(id),
+    description TEXT,
+    product_definition TEXT,
+    operating_environment TEXT,
+    technical_parameters TEXT,
+    machines_and_tooling TEXT,
+    manufacturing_strategy TEXT,
+    purchasing_strategy TEXT,
+    prototypes_ppap_and_sop TEXT,
+    engineering_and_testing TEXT,
+    capacity TEXT,
+    our_advantages TEXT,
+    gmdc_pct NUMERIC(5, 2),
+    customers_in_production TEXT,
+    customer_in_development TEXT,
+    level_of_interest_and_why TEXT,
+    estimated_price_per_product NUMERIC(14, 2),
+    prod_if_customer_in_china TEXT,
+    costing_data TEXT,
+    -- JSON array of upload paths
+    product_pictures TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS products_product_line_id_idx ON products (product_line_id);
+
+CREATE TABLE IF NOT EXISTS audit_logs (
+    id SERIAL PRIMARY KEY,
+    action VARCHAR(50) NOT NULL,
+    table_name VARCHAR(100) NOT NULL,
+    document_id INTEGER,
+    -- No foreign key: entries outlive the users they mention
+    user_id INTEGER,
+    user_name VARCHAR(255),
+    details JSONB NOT NULL DEFAULT '{}',
+    logged_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS audit_logs_record_idx ON audit_logs (table_name, document_id);
+CREATE INDEX IF NOT EXISTS audit_logs_logged_at_idx ON audit_logs (logged_at);
+CREATE INDEX IF NOT EXISTS audit_logs_user_action_idx ON audit_logs (user_id, action);
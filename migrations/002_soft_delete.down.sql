@@ -0,0 +1,7 @@
+-- 002: Trashed records become visible again once the columns are gone; purge them first if needed.
+DROP INDEX IF EXISTS products_deleted_at_idx;
+DROP INDEX IF EXISTS product_lines_deleted_at_idx;
+ALTER TABLE products DROP COLUMN IF EXISTS deleted_by;
+ALTER TABLE products DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE product_lines DROP COLUMN IF EXISTS deleted_by;
+ALTER TABLE product_lines DROP COLUMN IF EXISTS deleted_at;
@@ -0,0 +1,2 @@
+-- 003: Files stay in storage and in the JSON path arrays; only their metadata is lost.
+DROP TABLE IF EXISTS attachments;
@@ -0,0 +1,23 @@
+-- 003: Metadata of uploaded files. The JSON path arrays on products/product_lines stay the
+-- source of truth for which files a record has; rows here follow them (fileController.syncAttachments).
+
+CREATE TABLE IF NOT EXISTS attachments (
+    id SERIAL PRIMARY KEY,
+    table_name VARCHAR(50) NOT NULL,
+    record_id INTEGER NOT NULL,
+    field VARCHAR(50) NOT NULL,
+    -- e.g. 'uploads/product_pictures-1700000000000-a1b2c3.jpg'; shared by records with identical files
+    storage_key TEXT NOT NULL,
+    original_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(255),
+    size_bytes BIGINT,
+    -- SHA-256 of the content (hex), used for deduplication
+    checksum CHAR(64),
+    position INTEGER NOT NULL DEFAULT 0,
+    uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (table_name, record_id, field, storage_key)
+);
+
+CREATE INDEX IF NOT EXISTS attachments_checksum_idx ON attachments (checksum);
+CREATE INDEX IF NOT EXISTS attachments_storage_key_idx ON attachments (storage_key);
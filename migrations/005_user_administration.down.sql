@@ -0,0 +1,5 @@
+-- 005: Deactivated accounts become active again.
+DROP TABLE IF EXISTS user_invitations;
+ALTER TABLE users DROP COLUMN IF EXISTS deactivated_by;
+ALTER TABLE users DROP COLUMN IF EXISTS deactivated_at;
+ALTER TABLE users DROP COLUMN IF EXISTS is_active;
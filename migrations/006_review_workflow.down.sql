@@ -0,0 +1,10 @@
+-- 006: Pending drafts are lost; every record is live again.
+DROP TABLE IF EXISTS record_drafts;
+DROP INDEX IF EXISTS products_status_idx;
+DROP INDEX IF EXISTS product_lines_status_idx;
+ALTER TABLE products DROP COLUMN IF EXISTS review_comment;
+ALTER TABLE products DROP COLUMN IF EXISTS published_at;
+ALTER TABLE products DROP COLUMN IF EXISTS status;
+ALTER TABLE product_lines DROP COLUMN IF EXISTS review_comment;
+ALTER TABLE product_lines DROP COLUMN IF EXISTS published_at;
+ALTER TABLE product_lines DROP COLUMN IF EXISTS status;
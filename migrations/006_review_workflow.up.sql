@@ -0,0 +1,40 @@
+-- 006: Draft / review / published workflow for products and product lines.
+-- Records created before the workflow are already live, so they start out published.
+
+ALTER TABLE product_lines ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'published'
+    CHECK (status IN ('draft', 'in_review', 'published'));
+ALTER TABLE product_lines ADD COLUMN IF NOT EXISTS published_at TIMESTAMPTZ;
+ALTER TABLE product_lines ADD COLUMN IF NOT EXISTS review_comment TEXT;
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'published'
+    CHECK (status IN ('draft', 'in_review', 'published'));
+ALTER TABLE products ADD COLUMN IF NOT EXISTS published_at TIMESTAMPTZ;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS review_comment TEXT;
+
+UPDATE product_lines SET published_at = COALESCE(updated_at, created_at) WHERE published_at IS NULL;
+UPDATE products SET published_at = COALESCE(updated_at, created_at) WHERE published_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS product_lines_status_idx ON product_lines (status);
+CREATE INDEX IF NOT EXISTS products_status_idx ON products (status);
+
+-- Edits to published records wait here until a reviewer approves them
+CREATE TABLE IF NOT EXISTS record_drafts (
+    id SERIAL PRIMARY KEY,
+    table_name VARCHAR(50) NOT NULL,
+    record_id INTEGER NOT NULL,
+    -- Proposed column values, e.g. { "estimated_price_per_product": 0.45 }
+    changes JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'approved', 'rejected', 'discarded')),
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMPTZ,
+    review_comment TEXT
+);
+
+-- One pending draft per record; later edits are merged into it
+CREATE UNIQUE INDEX IF NOT EXISTS record_drafts_pending_idx ON record_drafts (table_name, record_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS record_drafts_record_idx ON record_drafts (table_name, record_id);
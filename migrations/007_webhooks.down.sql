@@ -0,0 +1,4 @@
+-- 007: Undelivered events are lost.
+DROP TABLE IF EXISTS webhook_deliveries;
+DROP TABLE IF EXISTS webhook_subscriptions;
+DROP TABLE IF EXISTS outbox_events;
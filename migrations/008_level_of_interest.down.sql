@@ -0,0 +1,2 @@
+-- 008: The levels are lost; level_of_interest_and_why is left as it is.
+ALTER TABLE products DROP COLUMN IF EXISTS level_of_interest;
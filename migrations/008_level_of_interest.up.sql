@@ -0,0 +1,5 @@
+-- 008: Level of interest of a product as a fixed value (config/schemas.js lists the same values).
+-- level_of_interest_and_why keeps the free-text justification.
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS level_of_interest VARCHAR(20)
+    CHECK (level_of_interest IN ('low', 'medium', 'high'));
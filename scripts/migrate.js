@@ -0,0 +1,152 @@
+// /server/scripts/migrate.js
+// Applies or rolls back the SQL migrations in migrations/.
+//
+//   npm run migrate              apply every pending migration
+//   npm run migrate:rollback     roll back the latest migration (add a number to roll back more)
+//   npm run migrate:status       list applied and pending migrations
+//
+// Rolling back 001 drops the initial tables with all their data; it is refused unless the
+// command also has --allow-drop-initial (001's down.sql checks for it as well).
+//
+// Each migration is a pair of files, 'NNN_name.up.sql' and 'NNN_name.down.sql', run in its own
+// transaction. Applied versions are recorded in the schema_migrations table.
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const pool = require('../config/db');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+// Any constant works; it only stops two deployments from migrating at the same time
+const LOCK_ID = 7241001;
+const INITIAL_VERSION = '001';
+const ALLOW_DROP_INITIAL = '--allow-drop-initial';
+
+/**
+ * Lists the migrations on disk, oldest first.
+ * @returns {object[]} { version, name, up, down } with the paths of both files.
+ */
+const readMigrations = () => fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.up.sql'))
+    .sort()
+    .map(file => {
+        const name = file.replace(/\.up\.sql$/, '');
+        return {
+            version: name.split('_')[0],
+            name,
+            up: path.join(MIGRATIONS_DIR, file),
+            down: path.join(MIGRATIONS_DIR, `${name}.down.sql`)
+        };
+    });
+
+const appliedVersions = async (client) => {
+    await client.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(50) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`);
+    const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+    return result.rows.map(row => row.version);
+};
+
+const runFile = async (client, migration, direction) => {
+    const file = migration[direction];
+    if (!fs.existsSync(file)) {
+        throw new Error(`Missing ${path.basename(file)}.`);
+    }
+
+    await client.query('BEGIN');
+    try {
+        if (direction === 'down' && migration.version === INITIAL_VERSION) {
+            // Read by 001's down.sql, which refuses to run without it; only lasts for this transaction
+            await client.query("SELECT set_config('migrate.allow_drop_initial', 'on', true)");
+        }
+        await client.query(fs.readFileSync(file, 'utf8'));
+        if (direction === 'up') {
+            await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+        } else {
+            await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        }
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    }
+};
+
+const up = async (client) => {
+    const applied = await appliedVersions(client);
+    const pending = readMigrations().filter(migration => !applied.includes(migration.version));
+
+    if (pending.length === 0) {
+        console.log('[MIGRATE] Database is up to date.');
+        return;
+    }
+    for (const migration of pending) {
+        console.log(`[MIGRATE] Applying ${migration.name}...`);
+        await runFile(client, migration, 'up');
+    }
+    console.log(`[MIGRATE] Applied ${pending.length} migration(s).`);
+};
+
+const down = async (client, steps, allowDropInitial) => {
+    const applied = await appliedVersions(client);
+    const migrations = readMigrations();
+    const toRollBack = applied.slice(-steps).reverse();
+
+    if (toRollBack.length === 0) {
+        console.log('[MIGRATE] Nothing to roll back.');
+        return;
+    }
+    if (toRollBack.includes(INITIAL_VERSION) && !allowDropInitial) {
+        throw new Error(`Rolling back ${INITIAL_VERSION} drops every initial table and its data. Add ${ALLOW_DROP_INITIAL} to do it anyway.`);
+    }
+    for (const version of toRollBack) {
+        const migration = migrations.find(m => m.version === version);
+        if (!migration) {
+            throw new Error(`Migration ${version} is applied but its files are missing.`);
+        }
+        console.log(`[MIGRATE] Rolling back ${migration.name}...`);
+        await runFile(client, migration, 'down');
+    }
+    console.log(`[MIGRATE] Rolled back ${toRollBack.length} migration(s).`);
+};
+
+const status = async (client) => {
+    const applied = await appliedVersions(client);
+    readMigrations().forEach(migration => {
+        console.log(`${applied.includes(migration.version) ? '[x]' : '[ ]'} ${migration.name}`);
+    });
+};
+
+const main = async () => {
+    const args = process.argv.slice(2);
+    const allowDropInitial = args.includes(ALLOW_DROP_INITIAL);
+    const [command = 'up', stepsArg] = args.filter(arg => arg !== ALLOW_DROP_INITIAL);
+    const steps = stepsArg === undefined ? 1 : Number(stepsArg);
+
+    if (!['up', 'down', 'status'].includes(command) || !Number.isInteger(steps) || steps < 1) {
+        console.error(`Usage: node scripts/migrate.js [up | down [steps] [${ALLOW_DROP_INITIAL}] | status]`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [LOCK_ID]);
+        if (command === 'up') await up(client);
+        if (command === 'down') await down(client, steps, allowDropInitial);
+        if (command === 'status') await status(client);
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]).catch(() => {});
+        client.release();
+    }
+};
+
+main()
+    .catch(error => {
+        console.error('[MIGRATE] Failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
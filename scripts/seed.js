@@ -0,0 +1,131 @@
+// /server/scripts/seed.js
+// Optional demo data for local development: one user per role, two product lines and a few
+// products. Safe to run more than once (existing rows are left alone).
+//
+//   npm run seed        (after npm run migrate)
+//
+// Demo passwords are SEED_PASSWORD (default 'ChangeMe123!'). Refuses to run when
+// NODE_ENV=production unless called with --force.
+
+require('dotenv').config();
+
+const bcrypt = require('bcrypt');
+const pool = require('../config/db');
+
+const PASSWORD = process.env.SEED_PASSWORD || 'ChangeMe123!';
+
+const USERS = [
+    { email: 'admin@example.com', display_name: 'Demo Admin', user_role: 'admin' },
+    { email: 'editor@example.com', display_name: 'Demo Editor', user_role: 'editor' },
+    { email: 'viewer@example.com', display_name: 'Demo Viewer', user_role: 'viewer' }
+];
+
+const PRODUCT_LINES = [
+    {
+        name: 'Brushes',
+        type_of_products: 'Carbon brushes and brush holders',
+        manufacturing_locations: 'France, China, Mexico',
+        design_center: 'Poitiers',
+        product_line_manager: 'Demo Editor',
+        strength: 'Broad material portfolio and in-house testing.'
+    },
+    {
+        name: 'Chokes',
+        type_of_products: 'EMC chokes and inductors',
+        manufacturing_locations: 'Tunisia, China',
+        design_center: 'Tunis',
+        product_line_manager: 'Demo Editor',
+        strength: 'Short development lead times.'
+    }
+];
+
+const PRODUCTS = [
+    {
+        product_name: 'Starter brush 12V',
+        product_line: 'Brushes',
+        description: 'Copper-graphite brush for 12V starter motors.',
+        machines_and_tooling: 'Isostatic press, CNC grinding',
+        gmdc_pct: 28.5,
+        estimated_price_per_product: 0.42,
+        customers_in_production: 'Valeo, Bosch',
+        customer_in_development: 'BYD'
+    },
+    {
+        product_name: 'Fuel pump brush',
+        product_line: 'Brushes',
+        description: 'Fuel-resistant brush for in-tank pumps.',
+        gmdc_pct: 31,
+        estimated_price_per_product: 0.18,
+        customer_in_development: 'Continental'
+    },
+    {
+        product_name: 'Common mode choke 2x10mH',
+        product_line: 'Chokes',
+        description: 'Toroidal choke for mains filters.',
+        machines_and_tooling: 'Toroid winding machines',
+        gmdc_pct: 22,
+        estimated_price_per_product: 1.35,
+        customers_in_production: 'Schneider Electric'
+    }
+];
+
+const insertRow = (client, tableName, row) => {
+    const columns = Object.keys(row);
+    const placeholders = columns.map((_, i) => `$${i + 1}`).join(', ');
+    return client.query(
+        `INSERT INTO ${tableName} (${columns.join(', ')}) VALUES (${placeholders}) ON CONFLICT DO NOTHING RETURNING id`,
+        Object.values(row)
+    );
+};
+
+const main = async () => {
+    if (process.env.NODE_ENV === 'production' && !process.argv.includes('--force')) {
+        console.error('[SEED] Refusing to seed demo data with NODE_ENV=production (use --force).');
+        process.exitCode = 1;
+        return;
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN'); // Start transaction
+
+        const passwordHash = await bcrypt.hash(PASSWORD, 10);
+        for (const user of USERS) {
+            await insertRow(client, 'users', { ...user, password_hash: passwordHash });
+        }
+        const admin = await client.query('SELECT id FROM users WHERE email = $1', [USERS[0].email]);
+        const adminId = admin.rows[0].id;
+
+        for (const productLine of PRODUCT_LINES) {
+            await insertRow(client, 'product_lines', { ...productLine, created_by: adminId, updated_by: adminId });
+        }
+
+        let created = 0;
+        for (const product of PRODUCTS) {
+            const line = await client.query('SELECT id FROM product_lines WHERE name = $1', [product.product_line]);
+            const existing = await client.query(
+                'SELECT 1 FROM products WHERE product_name = $1 AND product_line = $2',
+                [product.product_name, product.product_line]
+            );
+            if (existing.rowCount > 0) continue;
+
+            await insertRow(client, 'products', { ...product, product_line_id: line.rows[0].id, created_by: adminId, updated_by: adminId });
+            created += 1;
+        }
+
+        await client.query('COMMIT'); // Commit transaction
+        console.log(`[SEED] Demo data ready (${created} new product(s)). Log in as ${USERS.map(u => u.email).join(', ')} with the seed password.`);
+    } catch (error) {
+        await client.query('ROLLBACK'); // Rollback on error
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+main()
+    .catch(error => {
+        console.error('[SEED] Failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
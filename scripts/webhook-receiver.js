@@ -0,0 +1,49 @@
+// /server/scripts/webhook-receiver.js
+// Minimal webhook receiver for local testing: prints every event it receives and checks its
+// signature. Create a subscription pointing at it, then change a product.
+//
+//   WEBHOOK_SECRET=whsec_... npm run webhook:receiver      (listens on port 4010, or RECEIVER_PORT)
+//   POST /api/webhooks { "url": "http://localhost:4010/hooks" }
+//
+// Set RECEIVER_FAIL=true to answer 500 and watch the retries and the dead-letter list.
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.RECEIVER_PORT) || 4010;
+const SECRET = process.env.WEBHOOK_SECRET || '';
+const FAIL = process.env.RECEIVER_FAIL === 'true';
+// Requests signed longer ago than this are refused (replayed captures)
+const TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Checks an X-Webhook-Signature header ('t=<unix seconds>,v1=<hex>') against the raw body.
+ * @returns {string|null} Why the signature is not valid, or null if it is.
+ */
+const checkSignature = (header, body) => {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+    if (!parts.t || !parts.v1) return 'missing signature';
+    if (Math.abs(Date.now() / 1000 - Number(parts.t)) > TOLERANCE_SECONDS) return 'timestamp too old';
+
+    const expected = crypto.createHmac('sha256', SECRET).update(`${parts.t}.${body}`).digest('hex');
+    const valid = expected.length === parts.v1.length && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(parts.v1));
+    return valid ? null : 'signature mismatch';
+};
+
+http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        const problem = SECRET ? checkSignature(req.headers['x-webhook-signature'], body) : 'not checked (WEBHOOK_SECRET is not set)';
+
+        console.log(`\n[RECEIVER] ${req.headers['x-webhook-event']} (delivery ${req.headers['x-webhook-id']}) signature: ${problem || 'valid'}`);
+        console.log(body);
+
+        if (SECRET && problem) {
+            res.writeHead(401).end(problem);
+        } else {
+            res.writeHead(FAIL ? 500 : 204).end();
+        }
+    });
+}).listen(PORT, () => console.log(`[RECEIVER] Listening on http://localhost:${PORT}`));
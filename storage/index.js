@@ -0,0 +1,25 @@
+// /server/storage/index.js
+// Selects the file storage backend from STORAGE_BACKEND ('local' or 's3').
+// Every backend exposes: put(key, buffer, contentType), get(key) -> { stream, size } | null,
+// exists(key), remove(key) and url(key) -> direct public URL | null.
+
+const path = require('path');
+const settings = require('../config/settings');
+const createLocalStorage = require('./localStorage');
+const createS3Storage = require('./s3Storage');
+
+const createStorage = () => {
+    switch (settings.storage.backend) {
+        case 'local':
+            return createLocalStorage({ root: path.join(__dirname, '..') });
+        case 's3':
+            return createS3Storage(settings.storage.s3);
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND "${settings.storage.backend}". Use local or s3.`);
+    }
+};
+
+const storage = createStorage();
+console.log(`[STORAGE] Using ${storage.name} file storage.`);
+
+module.exports = storage;
@@ -0,0 +1,67 @@
+// /server/storage/localStorage.js
+// Local disk backend. Keys are paths relative to the project root ('uploads/filename.ext'),
+// which is exactly what the JSON path arrays in the database already contain.
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @param {object} options
+ * @param {string} options.root - Directory that keys are resolved against.
+ */
+const createLocalStorage = ({ root }) => {
+    const resolve = (key) => {
+        const filePath = path.resolve(root, key);
+        // Never read or write outside the storage root
+        if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    return {
+        name: 'local',
+
+        put: async (key, buffer) => {
+            const filePath = resolve(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, buffer);
+        },
+
+        get: async (key) => {
+            const filePath = resolve(key);
+            try {
+                const stats = await fs.promises.stat(filePath);
+                return { stream: fs.createReadStream(filePath), size: stats.size };
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        exists: async (key) => {
+            try {
+                await fs.promises.access(resolve(key));
+                return true;
+            } catch (error) {
+                return false;
+            }
+        },
+
+        // Resolves to false when there was nothing to delete
+        remove: async (key) => {
+            try {
+                await fs.promises.unlink(resolve(key));
+                return true;
+            } catch (error) {
+                if (error.code === 'ENOENT') return false;
+                throw error;
+            }
+        },
+
+        // Files on local disk are only reachable through the API's /uploads route
+        url: () => null
+    };
+};
+
+module.exports = createLocalStorage;
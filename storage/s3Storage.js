@@ -0,0 +1,82 @@
+// /server/storage/s3Storage.js
+// S3-compatible backend (AWS S3, Azure via an S3 gateway, MinIO for local testing).
+// Objects use the same keys as the local backend ('uploads/filename.ext').
+
+const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+const isNotFound = (error) =>
+    error.name === 'NoSuchKey' || error.name === 'NotFound' || (error.$metadata && error.$metadata.httpStatusCode === 404);
+
+/**
+ * @param {object} options
+ * @param {string} options.bucket - Bucket name.
+ * @param {string} [options.region] - Region (MinIO accepts any value).
+ * @param {string} [options.endpoint] - Custom endpoint, e.g. 'http://localhost:9000' for MinIO.
+ * @param {boolean} [options.forcePathStyle] - Required by MinIO and most S3-compatible stores.
+ * @param {string} [options.accessKeyId] - Falls back to the default AWS credential chain when empty.
+ * @param {string} [options.secretAccessKey]
+ * @param {string} [options.publicUrl] - Public base URL of the bucket; when empty files are proxied by the API.
+ */
+const createS3Storage = (options) => {
+    const { bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, publicUrl } = options;
+
+    if (!bucket) {
+        throw new Error('S3 storage requires S3_BUCKET to be set.');
+    }
+
+    const client = new S3Client({
+        region: region || 'us-east-1',
+        endpoint: endpoint || undefined,
+        forcePathStyle: Boolean(forcePathStyle),
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+
+    return {
+        name: 's3',
+
+        put: async (key, buffer, contentType) => {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: buffer,
+                ContentType: contentType || undefined
+            }));
+        },
+
+        get: async (key) => {
+            try {
+                const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+                return { stream: result.Body, size: result.ContentLength };
+            } catch (error) {
+                if (isNotFound(error)) return null;
+                throw error;
+            }
+        },
+
+        exists: async (key) => {
+            try {
+                await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+                return true;
+            } catch (error) {
+                if (isNotFound(error)) return false;
+                throw error;
+            }
+        },
+
+        // S3 deletes are idempotent, so there is no "not found" case to report
+        remove: async (key) => {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+            return true;
+        },
+
+        url: (key) => (publicUrl ? `${publicUrl.replace(/\/$/, '')}/${key}` : null)
+    };
+};
+
+module.exports = createS3Storage;
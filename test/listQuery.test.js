@@ -0,0 +1,58 @@
+// Run with: npm test (node's built-in test runner, no database needed)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildListQuery, applyPagination, isIsoDate } = require('../utils/listQuery');
+
+const OPTIONS = {
+    columns: ['id', 'name', 'created_at'],
+    types: { id: 'integer', created_at: 'date' },
+    defaultSort: '-created_at'
+};
+
+// Minimal stand-ins for the Express objects applyPagination uses
+const fakeRequest = (query) => ({ originalUrl: `/api/product_lines?${new URLSearchParams(query)}` });
+const fakeResponse = () => {
+    const headers = {};
+    return { headers, set: (name, value) => { headers[name] = value; } };
+};
+const nextCursor = (res) => {
+    const match = /<([^>]*)>; rel="next"/.exec(res.headers.Link || '');
+    return match ? new URL(match[1], 'http://localhost').searchParams.get('cursor') : null;
+};
+
+test('cursor pages keep rows that share one timestamp', () => {
+    // Five rows written by one transaction: same NOW(), microseconds included
+    const createdAt = '2026-10-19 07:04:30.561246+00';
+    const table = [5, 4, 3, 2, 1].map(id => ({ id, name: `Line ${id}`, created_at: new Date(createdAt), cursor_sort_value: createdAt }));
+
+    const seen = [];
+    let cursor = '';
+    for (let page = 0; page < 5 && cursor !== null; page += 1) {
+        const listQuery = buildListQuery('product_lines', { limit: '2', cursor }, OPTIONS);
+        assert.match(listQuery.text, /created_at::text AS cursor_sort_value/);
+
+        // The cursor carries the exact value, never the millisecond-rounded Date
+        if (cursor) assert.ok(listQuery.params.includes(createdAt));
+
+        const afterId = cursor ? Number(listQuery.params[0]) : Infinity;
+        const rows = table.filter(row => row.id < afterId).slice(0, listQuery.limit + 1);
+
+        const res = fakeResponse();
+        const sent = applyPagination(fakeRequest({ limit: 2, cursor }), res, listQuery, rows, table.length);
+        sent.forEach(row => assert.ok(!('cursor_sort_value' in row)));
+        seen.push(...sent.map(row => row.id));
+        cursor = nextCursor(res);
+    }
+
+    assert.deepStrictEqual(seen, [5, 4, 3, 2, 1]);
+});
+
+test('date filters only accept ISO dates that PostgreSQL can cast', () => {
+    ['2024-01-01', '2024-01-01T10:00Z', '2024-01-01T10:00:00.123+02:00', '2026-10-19 07:04:30.561246+00']
+        .forEach(value => assert.ok(isIsoDate(value), value));
+    ['1', 'March 7', '2024-02-30', '2024-01-01T25:00', '2024-1-1']
+        .forEach(value => assert.ok(!isIsoDate(value), value));
+
+    assert.throws(() => buildListQuery('product_lines', { created_at: { gte: '1' } }, OPTIONS), { status: 400 });
+});
@@ -0,0 +1,336 @@
+// /server/utils/listQuery.js
+// Turns list query-string parameters (page/limit/cursor, sort, filters, fields)
+// into a parameterised SQL query. Every column name is checked against a whitelist,
+// so nothing from the query string is ever interpolated into SQL directly.
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_LIMIT = 1000;
+
+// Query-string keys that are not treated as column filters
+const RESERVED_PARAMS = ['page', 'limit', 'cursor', 'sort', 'fields'];
+
+// Filter operators, used as `?gmdc_pct[gt]=10` or `?created_at[gte]=2024-01-01`
+const COMPARISON_OPERATORS = { eq: '=', ne: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+// Operand checks per column type (options.types), so that a malformed value is a 400
+// rather than a PostgreSQL cast error. Columns without a type are compared as text.
+const INT4_MAX = 2147483647;
+
+// 'YYYY-MM-DD', optionally with a time and a zone ('2024-01-01T10:00Z', or '2024-01-01 10:00:00.123456+00'
+// as PostgreSQL prints timestamptz). Date.parse alone accepts values PostgreSQL rejects, such as '1'.
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d{1,6})?)?(?:Z|[+-]\d{2}(?::?\d{2})?)?)?$/i;
+
+/**
+ * Whether a value is an ISO 8601 date or timestamp with an existing day and time.
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isIsoDate = (value) => {
+    const match = ISO_DATE.exec(value);
+    if (!match) return false;
+    const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = match.map(part => (part === undefined ? undefined : Number(part)));
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day && hours < 24 && minutes < 60 && seconds < 60;
+};
+
+const TYPE_CHECKS = {
+    integer: value => /^-?\d+$/.test(value) && Math.abs(Number(value)) <= INT4_MAX,
+    bigint: value => /^-?\d{1,18}$/.test(value),
+    number: value => value.trim() !== '' && Number.isFinite(Number(value)),
+    date: isIsoDate,
+    boolean: value => ['true', 'false'].includes(value)
+};
+
+// Extra column carrying the exact sort value of date columns in cursor mode: a JS Date keeps
+// milliseconds only, while timestamptz keeps microseconds, and rows written by one transaction
+// share the same NOW(). It is removed from the rows by applyPagination.
+const CURSOR_VALUE = 'cursor_sort_value';
+
+/**
+ * Builds an Error carrying an HTTP 400 status so controllers can return it as-is.
+ * @param {string} message - Message sent back to the client.
+ */
+const badRequest = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+};
+
+const encodeCursor = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (Array.isArray(values) && values.length === 2) return values;
+    } catch (e) {
+        // Fall through to the error below
+    }
+    throw badRequest('Invalid cursor.');
+};
+
+const toPositiveInt = (value, name) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw badRequest(`"${name}" must be a positive integer.`);
+    }
+    return number;
+};
+
+/**
+ * Throws a 400 error if a filter or cursor value does not fit the column type.
+ * @param {string} column
+ * @param {*} value
+ * @param {object} types - { column: 'integer' | 'bigint' | 'number' | 'date' | 'boolean' }.
+ */
+const checkOperand = (column, value, types) => {
+    const type = types[column];
+    if (!TYPE_CHECKS[type] || value === null) return;
+    if (typeof value === 'object' || !TYPE_CHECKS[type](String(value))) {
+        throw badRequest(`"${column}" must be a valid ${type}.`);
+    }
+};
+
+const escapeLike = (value) => String(value).replace(/[\\%_]/g, (char) => `\\${char}`);
+
+/**
+ * Parses `?sort=-created_at,product_name` into ORDER BY parts.
+ * @returns {Array<{column: string, direction: string}>}
+ */
+const parseSort = (sortParam, columns, defaultSort) => {
+    const raw = sortParam ? String(sortParam) : defaultSort;
+    return raw.split(',').map(s => s.trim()).filter(Boolean).map(token => {
+        const direction = token.startsWith('-') ? 'DESC' : 'ASC';
+        const column = token.replace(/^[-+]/, '');
+        if (!columns.includes(column)) {
+            throw badRequest(`Cannot sort by unknown column "${column}".`);
+        }
+        return { column, direction };
+    });
+};
+
+/**
+ * Parses every non-reserved query parameter into WHERE conditions.
+ * Supported forms: `col=value`, `col=a&col=b` (IN), `col[op]=value` with op in
+ * eq/ne/gt/gte/lt/lte, `col[contains]=text`, `col[in]=a,b` and `col[is]=null|notnull`.
+ */
+const parseFilters = (query, columns, types, conditions, params) => {
+    const addParam = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+    const addList = (column, list) => {
+        list.forEach(item => checkOperand(column, item, types));
+        return addParam(list);
+    };
+
+    Object.keys(query).forEach(column => {
+        if (RESERVED_PARAMS.includes(column)) return;
+        if (!columns.includes(column)) {
+            throw badRequest(`Cannot filter by unknown column "${column}".`);
+        }
+
+        const value = query[column];
+
+        if (Array.isArray(value)) {
+            conditions.push(`${column} = ANY(${addList(column, value)})`);
+            return;
+        }
+
+        if (value === null || typeof value !== 'object') {
+            checkOperand(column, value, types);
+            conditions.push(`${column} = ${addParam(value)}`);
+            return;
+        }
+
+        Object.keys(value).forEach(operator => {
+            const operand = value[operator];
+            if (COMPARISON_OPERATORS[operator]) {
+                checkOperand(column, operand, types);
+                conditions.push(`${column} ${COMPARISON_OPERATORS[operator]} ${addParam(operand)}`);
+            } else if (operator === 'contains') {
+                conditions.push(`${column}::text ILIKE ${addParam(`%${escapeLike(operand)}%`)}`);
+            } else if (operator === 'in') {
+                const list = Array.isArray(operand) ? operand : String(operand).split(',');
+                conditions.push(`${column} = ANY(${addList(column, list)})`);
+            } else if (operator === 'is' && (operand === 'null' || operand === 'notnull')) {
+                conditions.push(`${column} IS ${operand === 'null' ? '' : 'NOT '}NULL`);
+            } else {
+                throw badRequest(`Unsupported filter "${column}[${operator}]".`);
+            }
+        });
+    });
+};
+
+/**
+ * WHERE condition of the rows after the cursor. PostgreSQL sorts NULLs last in ascending and
+ * first in descending order; a plain (column, id) > (value, id) comparison would drop them.
+ * @param {string} column - Sort column (whitelisted).
+ * @param {string} direction - 'ASC' or 'DESC' (id is sorted the same way).
+ * @param {*} lastValue - Sort value of the last row of the previous page (may be null).
+ * @param {number} lastId
+ * @param {Array} params - Parameters to append to.
+ * @returns {string}
+ */
+const keysetCondition = (column, direction, lastValue, lastId, params) => {
+    params.push(lastId);
+    const id = `$${params.length}`;
+    const comparator = direction === 'DESC' ? '<' : '>';
+    if (column === 'id') return `id ${comparator} ${id}`;
+
+    if (lastValue === null) {
+        return direction === 'DESC'
+            ? `(${column} IS NOT NULL OR id < ${id})`
+            : `(${column} IS NULL AND id > ${id})`;
+    }
+
+    params.push(lastValue);
+    const value = `$${params.length}`;
+    const after = `(${column} ${comparator} ${value} OR (${column} = ${value} AND id ${comparator} ${id}))`;
+    return direction === 'DESC' ? after : `(${after} OR ${column} IS NULL)`;
+};
+
+/**
+ * Builds the data and count queries for a list endpoint.
+ * @param {string} tableName - Table to select from (never user supplied).
+ * @param {object} query - req.query.
+ * @param {object} options
+ * @param {string[]} options.columns - Whitelist of columns that can be selected, sorted and filtered.
+ * @param {object} [options.types] - Type of the non-text columns, used to validate filter values.
+ * @param {string} options.defaultSort - Sort used when `?sort` is absent, e.g. '-created_at'.
+ * @param {number} [options.defaultLimit] - Row cap applied when the client does not paginate.
+ * @param {string[]} [options.conditions] - Extra SQL conditions that always apply.
+ * @param {Array} [options.params] - Parameters referenced by `options.conditions`.
+ * @returns {object} { text, countText, params, countParams, mode, page, limit, sort }
+ */
+exports.buildListQuery = (tableName, query, options) => {
+    const { columns, defaultSort, defaultLimit = null, types = {} } = options;
+    const conditions = [...(options.conditions || [])];
+    const params = [...(options.params || [])];
+
+    // 1. Field selection
+    let selected = ['*'];
+    if (query.fields !== undefined) {
+        selected = String(query.fields).split(',').map(f => f.trim()).filter(Boolean);
+        if (selected.length === 0) {
+            throw badRequest('"fields" must list at least one column.');
+        }
+        const unknown = selected.filter(f => !columns.includes(f));
+        if (unknown.length > 0) {
+            throw badRequest(`Unknown field(s): ${unknown.join(', ')}.`);
+        }
+    }
+
+    // 2. Filters and sorting (id is always the final tie-breaker so pages are stable)
+    parseFilters(query, columns, types, conditions, params);
+    const sort = parseSort(query.sort, columns, defaultSort);
+    if (!sort.some(s => s.column === 'id')) {
+        sort.push({ column: 'id', direction: sort.length > 0 ? sort[0].direction : 'ASC' });
+    }
+
+    // The total count ignores the cursor so that it always reflects the full filtered set
+    const countConditions = [...conditions];
+    const countParams = [...params];
+
+    // 3. Pagination: cursor (keyset), page/limit (offset), or the table's default cap
+    let mode = 'none';
+    let limit = defaultLimit;
+    let page = null;
+    let offset = 0;
+
+    if (query.limit !== undefined) {
+        limit = Math.min(toPositiveInt(query.limit, 'limit'), MAX_LIMIT);
+    }
+
+    if (query.cursor !== undefined) {
+        mode = 'cursor';
+        limit = limit || DEFAULT_PAGE_SIZE;
+        if (sort.length > 2) {
+            throw badRequest('Cursor pagination supports sorting by a single column.');
+        }
+        const [{ column, direction }] = sort;
+        // Keyset pagination needs the sort column and id on every row
+        if (selected[0] !== '*') {
+            [column, 'id'].forEach(c => { if (!selected.includes(c)) selected.push(c); });
+        }
+        if (types[column] === 'date') {
+            selected.push(`${column}::text AS ${CURSOR_VALUE}`);
+        }
+        if (query.cursor) {
+            const [lastValue, lastId] = decodeCursor(String(query.cursor));
+            checkOperand(column, lastValue, types);
+            if (!/^\d{1,18}$/.test(String(lastId))) throw badRequest('Invalid cursor.');
+            conditions.push(keysetCondition(column, direction, lastValue, lastId, params));
+        }
+    } else if (query.page !== undefined || query.limit !== undefined) {
+        mode = 'page';
+        page = query.page !== undefined ? toPositiveInt(query.page, 'page') : 1;
+        limit = limit || DEFAULT_PAGE_SIZE;
+        offset = (page - 1) * limit;
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const countWhereClause = countConditions.length > 0 ? `WHERE ${countConditions.join(' AND ')}` : '';
+    const orderByClause = `ORDER BY ${sort.map(s => `${s.column} ${s.direction}`).join(', ')}`;
+    // In cursor mode one extra row is fetched to know whether a next page exists
+    const limitClause = limit ? `LIMIT ${mode === 'cursor' ? limit + 1 : limit}` : '';
+    const offsetClause = offset ? `OFFSET ${offset}` : '';
+
+    return {
+        text: `SELECT ${selected.join(', ')} FROM ${tableName} ${whereClause} ${orderByClause} ${limitClause} ${offsetClause}`,
+        countText: `SELECT COUNT(*)::int AS total FROM ${tableName} ${countWhereClause}`,
+        params,
+        countParams,
+        mode,
+        page,
+        limit,
+        sort
+    };
+};
+
+/**
+ * Trims the extra cursor row, then sets the X-Total-Count and Link headers.
+ * Rows are returned unchanged (a plain array) so existing clients keep working.
+ * @param {object} req - Express request (used to rebuild page URLs).
+ * @param {object} res - Express response.
+ * @param {object} listQuery - Result of buildListQuery.
+ * @param {Array} rows - Rows returned by the data query.
+ * @param {number} total - Result of the count query.
+ * @returns {Array} The rows to send.
+ */
+exports.applyPagination = (req, res, listQuery, rows, total) => {
+    const { mode, page, limit, sort } = listQuery;
+    const links = {};
+
+    const urlWith = (changes) => {
+        const url = new URL(req.originalUrl, 'http://localhost');
+        Object.keys(changes).forEach(key => url.searchParams.set(key, changes[key]));
+        return `${url.pathname}${url.search}`;
+    };
+
+    if (mode === 'cursor') {
+        if (rows.length > limit) {
+            rows = rows.slice(0, limit);
+            const last = rows[rows.length - 1];
+            const sortValue = CURSOR_VALUE in last ? last[CURSOR_VALUE] : last[sort[0].column];
+            links.next = urlWith({ cursor: encodeCursor([sortValue instanceof Date ? sortValue.toISOString() : sortValue, last.id]) });
+        }
+        links.first = urlWith({ cursor: '' });
+        rows = rows.map(({ [CURSOR_VALUE]: exact, ...row }) => row);
+    } else if (mode === 'page') {
+        const lastPage = Math.max(Math.ceil(total / limit), 1);
+        links.first = urlWith({ page: 1, limit });
+        links.last = urlWith({ page: lastPage, limit });
+        if (page < lastPage) links.next = urlWith({ page: page + 1, limit });
+        if (page > 1) links.prev = urlWith({ page: page - 1, limit });
+    }
+
+    res.set('X-Total-Count', String(total));
+    const linkHeader = Object.keys(links).map(rel => `<${links[rel]}>; rel="${rel}"`).join(', ');
+    if (linkHeader) res.set('Link', linkHeader);
+
+    return rows;
+};
+
+exports.badRequest = badRequest;
+exports.escapeLike = escapeLike;
+exports.isIsoDate = isIsoDate;
@@ -0,0 +1,285 @@
+// /server/utils/liveFeed.js
+// Live change feed: pushes catalogue changes and presence to connected clients over Server-Sent
+// Events (controllers/liveController.js).
+//
+// Changes come from the transactional outbox: recordEvent (utils/outbox.js) NOTIFYs CHANGE_CHANNEL
+// when the change commits, and every instance LISTENs on one dedicated connection, so a client
+// hears about changes made through any instance. Presence ("X is editing this product") goes
+// through PRESENCE_CHANNEL the same way. It is kept in memory only: entries expire unless the
+// client refreshes them within LIVE_PRESENCE_TTL_SECONDS, which also clears the presence of
+// clients on an instance that stopped. Presence follows the visibility of changes: readers do
+// not see who is on an unpublished record.
+
+const crypto = require('crypto');
+const pool = require('../config/db');
+const settings = require('../config/settings');
+const { can } = require('../config/roles');
+const { CHANGE_CHANNEL } = require('./outbox');
+const { canSeeUnpublished } = require('./workflow');
+
+const PRESENCE_CHANNEL = 'catalogue_presence';
+exports.PRESENCE_ACTIVITIES = ['viewing', 'editing', 'left'];
+
+const connections = new Map(); // connection id -> { id, user, res, topics, queue }
+const presence = new Map(); // '<table>:<record id>' -> Map(connection id -> entry)
+const recordStatuses = new Map(); // '<table>:<record id>' -> status of the record, for records with presence
+
+let listener = null;
+let connecting = false;
+let sweeper = null;
+
+/**
+ * Writes one SSE event to a connection.
+ * @param {object} connection
+ * @param {string} event - Event name ('change', 'presence', ...).
+ * @param {object} data - Sent as JSON.
+ * @param {number} [id] - Sent as the event id, which the browser returns as Last-Event-ID when it reconnects.
+ */
+exports.send = (connection, event, data, id) => {
+    if (connection.res.writableEnded) return;
+    connection.res.write(`${id !== undefined ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const isSubscribed = (connection, table, recordId) =>
+    connection.topics.includes(table) || connection.topics.includes(`${table}:${recordId}`);
+
+/**
+ * Whether a connection receives a change: it must be subscribed to the table or the record,
+ * may still read the table, and only editors and reviewers hear about unpublished records.
+ * @param {object} connection
+ * @param {object} notice - See outbox.toNotice.
+ * @returns {boolean}
+ */
+exports.canReceive = (connection, notice) =>
+    isSubscribed(connection, notice.table, notice.record_id)
+    && can(connection.user.userRole, 'read', notice.table)
+    && (notice.status === 'published' || canSeeUnpublished(connection.user, notice.table));
+
+const broadcastChange = (notice) => {
+    const key = presenceKey(notice.table, notice.record_id);
+    if (notice.status && recordStatuses.has(key)) recordStatuses.set(key, notice.status);
+
+    connections.forEach(connection => {
+        if (!exports.canReceive(connection, notice)) return;
+        if (connection.queue) connection.queue.push(notice);
+        else exports.send(connection, 'change', notice, notice.id);
+    });
+};
+
+// --- PRESENCE ---
+
+const presenceKey = (table, recordId) => `${table}:${recordId}`;
+
+/**
+ * Who is on a record: one entry per user (several tabs count once, 'editing' wins over 'viewing').
+ * @param {string} key - '<table>:<record id>'.
+ * @returns {object[]} [{ user_id, name, activity, since }]
+ */
+const presenceList = (key) => {
+    const users = new Map();
+    const now = Date.now();
+    (presence.get(key) || new Map()).forEach(entry => {
+        if (entry.expiresAt <= now) return;
+        const current = users.get(entry.user_id);
+        if (!current || (entry.activity === 'editing' && current.activity !== 'editing')) {
+            users.set(entry.user_id, { user_id: entry.user_id, name: entry.name, activity: entry.activity, since: entry.since });
+        }
+    });
+    return [...users.values()];
+};
+
+// Presence on a record goes to the connections that would receive its changes
+const presenceNotice = (table, recordId) =>
+    ({ table, record_id: recordId, status: recordStatuses.get(presenceKey(table, recordId)) });
+
+const broadcastPresence = (table, recordId) => {
+    const notice = presenceNotice(table, recordId);
+    const data = { table, record_id: recordId, users: presenceList(presenceKey(table, recordId)) };
+    connections.forEach(connection => {
+        if (exports.canReceive(connection, notice)) {
+            exports.send(connection, 'presence', data);
+        }
+    });
+};
+
+// Applies a presence message from any instance; only joins, leaves and activity changes are broadcast
+const applyPresence = (message) => {
+    const key = presenceKey(message.table, message.record_id);
+    const entries = presence.get(key) || new Map();
+    const previous = entries.get(message.connection_id);
+    if (message.status) recordStatuses.set(key, message.status);
+
+    if (message.activity === 'left') {
+        if (!previous) return;
+        entries.delete(message.connection_id);
+    } else {
+        entries.set(message.connection_id, {
+            user_id: message.user_id,
+            name: message.name,
+            activity: message.activity,
+            since: previous && previous.activity === message.activity ? previous.since : message.at,
+            expiresAt: Date.now() + settings.live.presenceTtlSeconds * 1000
+        });
+        if (previous && previous.activity === message.activity) return;
+    }
+
+    if (entries.size > 0) presence.set(key, entries); else presence.delete(key);
+    broadcastPresence(message.table, message.record_id);
+    if (entries.size === 0) recordStatuses.delete(key);
+};
+
+// Drops entries that were not refreshed in time
+const sweepPresence = () => {
+    const now = Date.now();
+    presence.forEach((entries, key) => {
+        let expired = false;
+        entries.forEach((entry, connectionId) => {
+            if (entry.expiresAt <= now) {
+                entries.delete(connectionId);
+                expired = true;
+            }
+        });
+        if (entries.size === 0) presence.delete(key);
+        if (expired) {
+            const [table, recordId] = key.split(':');
+            broadcastPresence(table, Number(recordId));
+        }
+        if (entries.size === 0) recordStatuses.delete(key);
+    });
+};
+
+/**
+ * Announces what a connection's user is doing on a record, to every instance.
+ * Clients repeat 'viewing' / 'editing' within the presence TTL for as long as it lasts.
+ * @param {object} connection
+ * @param {string} table
+ * @param {number} recordId
+ * @param {string} activity - One of PRESENCE_ACTIVITIES.
+ * @param {string} [status] - Current status of the record (decides who sees the presence); kept as is when omitted.
+ * @returns {Promise<void>}
+ */
+exports.setPresence = async (connection, table, recordId, activity, status) => {
+    const message = {
+        connection_id: connection.id,
+        user_id: connection.user.id,
+        name: connection.user.displayName,
+        table,
+        record_id: recordId,
+        status,
+        activity,
+        at: new Date().toISOString()
+    };
+    await pool.query('SELECT pg_notify($1, $2)', [PRESENCE_CHANNEL, JSON.stringify(message)]);
+};
+
+/**
+ * Current presence on the records a user subscribed to (all records of a subscribed table),
+ * limited to the records whose changes they would receive.
+ * @param {object} user - req.user.
+ * @param {string[]} topics - 'products' or 'products:12'.
+ * @returns {object[]} [{ table, record_id, users }]
+ */
+exports.presenceSnapshot = (user, topics) => {
+    const snapshot = [];
+    presence.forEach((entries, key) => {
+        const [table, recordId] = key.split(':');
+        if (!exports.canReceive({ user, topics }, presenceNotice(table, Number(recordId)))) return;
+        const users = presenceList(key);
+        if (users.length > 0) snapshot.push({ table, record_id: Number(recordId), users });
+    });
+    return snapshot;
+};
+
+// --- LISTENER ---
+
+const handleNotification = (message) => {
+    try {
+        const payload = JSON.parse(message.payload);
+        if (message.channel === CHANGE_CHANNEL) broadcastChange(payload);
+        else if (message.channel === PRESENCE_CHANNEL) applyPresence(payload);
+    } catch (error) {
+        console.error(`[LIVE] Ignoring malformed notification on ${message.channel}:`, error.message);
+    }
+};
+
+/**
+ * Opens the LISTEN connection, once, when the first client connects. It holds one pool
+ * connection for the life of the process and is re-opened if the database drops it.
+ */
+const startListener = async () => {
+    if (listener || connecting) return;
+    connecting = true;
+    try {
+        const client = await pool.connect();
+        client.on('notification', handleNotification);
+        client.on('error', (error) => {
+            console.error('[LIVE] Listener connection lost:', error.message);
+            listener = null;
+            client.release(error);
+            setTimeout(startListener, 5000).unref();
+        });
+        await client.query(`LISTEN ${CHANGE_CHANNEL}`);
+        await client.query(`LISTEN ${PRESENCE_CHANNEL}`);
+        listener = client;
+    } catch (error) {
+        console.error('[LIVE] Could not listen for changes:', error.message);
+        setTimeout(startListener, 5000).unref();
+    } finally {
+        connecting = false;
+    }
+};
+
+// --- CONNECTIONS ---
+
+/**
+ * Registers an open event stream.
+ * @param {object} user - req.user.
+ * @param {object} res - The streaming response.
+ * @param {string[]} topics - Validated subscriptions.
+ * @param {boolean} [queued=false] - Hold changes back until flushQueue (while missed ones are replayed).
+ * @returns {object} The connection ({ id, user, res, topics, queue }).
+ */
+exports.addConnection = (user, res, topics, queued = false) => {
+    startListener();
+    if (!sweeper) {
+        sweeper = setInterval(sweepPresence, Math.max(settings.live.presenceTtlSeconds / 2, 1) * 1000);
+        sweeper.unref();
+    }
+
+    const connection = { id: crypto.randomUUID(), user, res, topics, queue: queued ? [] : null };
+    connections.set(connection.id, connection);
+    return connection;
+};
+
+/**
+ * Sends the changes held back on a connection, skipping those already replayed, and stops queueing.
+ * @param {object} connection
+ * @param {number} afterId - Id of the last replayed event.
+ */
+exports.flushQueue = (connection, afterId) => {
+    const queue = connection.queue || [];
+    connection.queue = null;
+    queue.forEach(notice => {
+        if (notice.id > afterId) exports.send(connection, 'change', notice, notice.id);
+    });
+};
+
+/**
+ * @param {string} connectionId
+ * @returns {object|null} The open connection with this id, on this instance.
+ */
+exports.getConnection = (connectionId) => connections.get(connectionId) || null;
+
+/**
+ * Unregisters a closed stream; its user leaves every record they were on.
+ * @param {object} connection
+ */
+exports.removeConnection = (connection) => {
+    connections.delete(connection.id);
+    presence.forEach((entries, key) => {
+        if (!entries.has(connection.id)) return;
+        const [table, recordId] = key.split(':');
+        exports.setPresence(connection, table, Number(recordId), 'left')
+            .catch(error => console.error('[LIVE] Could not clear presence:', error.message));
+    });
+};
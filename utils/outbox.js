@@ -0,0 +1,55 @@
+// /server/utils/outbox.js
+// Transactional outbox for catalogue changes. Controllers call recordEvent on the same client
+// as their audit entry, so an event exists if and only if the change was committed. Delivery to
+// webhook subscribers happens later, in utils/webhooks.js; connected clients are notified at
+// commit through NOTIFY on CHANGE_CHANNEL (utils/liveFeed.js).
+
+// Event types are '<table>.<action>', e.g. 'products.updated'
+exports.EVENT_TABLES = ['products', 'product_lines'];
+exports.EVENT_ACTIONS = ['created', 'updated', 'deleted', 'restored', 'purged', 'published'];
+exports.CHANGE_CHANNEL = 'catalogue_changes';
+
+/**
+ * The short form of an event pushed to live feed clients: no record values (NOTIFY payloads are
+ * limited to 8000 bytes), only what a client needs to decide whether to reload the record.
+ * @param {object} event - An outbox_events row.
+ * @returns {object}
+ */
+exports.toNotice = (event) => ({
+    id: Number(event.id),
+    type: event.event_type,
+    table: event.table_name,
+    record_id: event.record_id,
+    action: event.event_type.split('.')[1],
+    status: event.payload.record ? event.payload.record.status : undefined,
+    changed: event.payload.changes ? Object.keys(event.payload.changes) : [],
+    actor: event.payload.actor,
+    occurred_at: event.created_at
+});
+
+/**
+ * Writes a change event to the outbox.
+ * @param {object} client - Transaction client of the change (never the pool).
+ * @param {string} tableName - 'products' or 'product_lines'.
+ * @param {string} action - One of EVENT_ACTIONS.
+ * @param {object} record - The row after the change (before it, for 'deleted' and 'purged').
+ * @param {object} [options]
+ * @param {object} [options.actor] - { id, displayName } of the user, or null for background jobs.
+ * @param {object} [options.changes] - Field-level diff ({ column: { before, after } }) for updates.
+ * @returns {Promise<void>}
+ */
+exports.recordEvent = async (client, tableName, action, record, { actor = null, changes } = {}) => {
+    const payload = {
+        record,
+        changes: changes && Object.keys(changes).length > 0 ? changes : undefined,
+        actor: actor ? { id: actor.id, name: actor.displayName } : null
+    };
+
+    const result = await client.query(
+        'INSERT INTO outbox_events (event_type, table_name, record_id, payload) VALUES ($1, $2, $3, $4) RETURNING *',
+        [`${tableName}.${action}`, tableName, record.id, payload]
+    );
+
+    // Delivered by PostgreSQL when the transaction commits, and dropped if it rolls back
+    await client.query('SELECT pg_notify($1, $2)', [exports.CHANGE_CHANNEL, JSON.stringify(exports.toNotice(result.rows[0]))]);
+};
@@ -0,0 +1,80 @@
+// /server/utils/recordDiff.js
+// Field-level diffs for UPDATE audit entries, and the reverse operation used by revert.
+
+const { parseFilePaths } = require('../controllers/fileController');
+
+// Dates and numerics come back from pg as objects/strings; compare them by their JSON form
+const normalise = (value) => JSON.stringify(value === undefined ? null : value);
+
+/**
+ * Compares two versions of a record.
+ * @param {object} before - The row before the update.
+ * @param {object} after - The row returned by the UPDATE.
+ * @param {string[]} columns - Columns to compare (writable columns of the table).
+ * @param {string|null} fileField - JSON path-array column, reported separately as attachments.
+ * @returns {object} { changes: { column: { before, after } }, attachments: { field, added, removed } | null }
+ */
+exports.diffRecords = (before, after, columns, fileField) => {
+    const changes = {};
+    columns.forEach(column => {
+        if (column === fileField) return;
+        if (normalise(before[column]) !== normalise(after[column])) {
+            changes[column] = { before: before[column] === undefined ? null : before[column], after: after[column] };
+        }
+    });
+
+    let attachments = null;
+    if (fileField) {
+        const oldPaths = parseFilePaths(before[fileField]);
+        const newPaths = parseFilePaths(after[fileField]);
+        const added = newPaths.filter(path => !oldPaths.includes(path));
+        const removed = oldPaths.filter(path => !newPaths.includes(path));
+        const reordered = added.length === 0 && removed.length === 0 && normalise(oldPaths) !== normalise(newPaths);
+
+        if (added.length > 0 || removed.length > 0 || reordered) {
+            attachments = { field: fileField, added, removed, before: oldPaths, after: newPaths };
+        }
+    }
+
+    return { changes, attachments };
+};
+
+/**
+ * Whether a diff produced by diffRecords contains anything.
+ * @param {object} diff - Result of diffRecords.
+ * @returns {boolean}
+ */
+exports.isEmptyDiff = (diff) => Object.keys(diff.changes).length === 0 && !diff.attachments;
+
+/**
+ * Rewinds a record through audit entries, newest first, to get its state before the last one.
+ * Entries with a full `oldData` snapshot (DELETE, PURGE, REVERT and older UPDATE entries) replace
+ * the state; UPDATE entries with field-level `changes` only roll back the columns they touched.
+ * @param {object|null} current - The record as it is now (null if it no longer exists).
+ * @param {object[]} entries - Audit entries of the record, ordered newest first.
+ * @returns {object|null} The record before the oldest entry, or null if it did not exist yet.
+ */
+exports.rewindRecord = (current, entries) => entries.reduce((state, entry) => {
+    const details = entry.details || {};
+
+    if ('oldData' in details) {
+        return details.oldData ? { ...details.oldData } : null;
+    }
+
+    if (details.changes) {
+        const previous = { ...state };
+        Object.keys(details.changes).forEach(column => {
+            previous[column] = details.changes[column].before;
+        });
+        if (details.attachments) {
+            previous[details.attachments.field] = JSON.stringify(details.attachments.before);
+        }
+        return previous;
+    }
+
+    // The record did not exist before it was created
+    if (entry.action === 'CREATE') return null;
+
+    // RESTORE, FORBIDDEN, ... leave the writable columns untouched
+    return state;
+}, current ? { ...current } : null);
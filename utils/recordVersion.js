@@ -0,0 +1,34 @@
+// /server/utils/recordVersion.js
+// Version tokens for optimistic concurrency control (ETag / If-Match).
+// The token is derived from updated_at, so clients can also compute it from a list row. A
+// published record with a pending draft (utils/workflow.js) also carries the draft's version:
+// edits are merged into that draft, so a client must have seen it to save over it.
+
+const toMillis = (stamp) => (stamp ? new Date(stamp).getTime() : 0);
+
+/**
+ * Builds the ETag of a record: the quoted millisecond timestamp of its last update, followed by
+ * the id and last update of its pending draft if it has one.
+ * @param {object} row - A products or product_lines row.
+ * @param {object|null} [draft] - Its pending record_drafts row.
+ * @returns {string} e.g. '"1718012345678"' or '"1718012345678-12.1718012399999"'
+ */
+exports.versionTag = (row, draft = null) => {
+    const stamp = toMillis(row.updated_at || row.created_at);
+    return `"${stamp}${draft ? `-${draft.id}.${toMillis(draft.updated_at)}` : ''}"`;
+};
+
+/**
+ * Checks an If-Match header against a record.
+ * Accepts '*', a list of tags and weak tags (W/"...").
+ * @param {string} ifMatch - The raw If-Match header.
+ * @param {object} row - The current record.
+ * @param {object|null} [draft] - Its pending draft.
+ * @returns {boolean}
+ */
+exports.matchesVersion = (ifMatch, row, draft = null) => {
+    const current = exports.versionTag(row, draft);
+    return ifMatch.split(',')
+        .map(tag => tag.trim().replace(/^W\//, ''))
+        .some(tag => tag === '*' || tag === current);
+};
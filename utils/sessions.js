@@ -0,0 +1,217 @@
+// /server/utils/sessions.js
+// Server-side sessions behind short-lived access tokens.
+// An access token (JWT) carries the id of its session as `sid`, and `authenticate` rejects it
+// as soon as that session is revoked. A refresh token is '<session id>.<secret>'; only a
+// SHA-256 hash of the secret is stored, and every refresh rotates it. Presenting a secret
+// that was already rotated means the token was copied, so the whole session is revoked.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../config/db');
+const settings = require('../config/settings');
+
+if (!settings.auth.jwtSecret) {
+    throw new Error('JWT_SECRET must be set (only NODE_ENV=development runs without it).');
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Signs an access token for a session.
+ * @param {object} user - A users row (id, email, display_name, user_role).
+ * @param {string} sessionId - The sessions row id.
+ * @returns {string}
+ */
+const signAccessToken = (user, sessionId) => jwt.sign(
+    { id: user.id, email: user.email, displayName: user.display_name, userRole: user.user_role, sid: sessionId },
+    settings.auth.jwtSecret,
+    { expiresIn: settings.auth.accessTokenTtl }
+);
+
+const issueTokens = (user, sessionId, secret) => {
+    const token = signAccessToken(user, sessionId);
+    const { iat, exp } = jwt.decode(token);
+    return { token, refresh_token: `${sessionId}.${secret}`, expires_in: exp - iat };
+};
+
+/**
+ * Opens a session for a user who just signed up or logged in.
+ * @param {object} user - A users row (id, email, display_name, user_role).
+ * @param {object} req - Express request (user agent and IP are kept for the session list).
+ * @param {object} [db=pool] - Pass a transaction client to create it inside that transaction.
+ * @returns {Promise<object>} { token, refresh_token, expires_in, sessionId }
+ */
+exports.createSession = async (user, req, db = pool) => {
+    const secret = newSecret();
+    const result = await db.query(
+        `INSERT INTO sessions (user_id, refresh_token_hash, expires_at, user_agent, ip_address)
+         VALUES ($1, $2, NOW() + $3 * INTERVAL '1 day', $4, $5) RETURNING id`,
+        [user.id, hashSecret(secret), settings.auth.refreshTokenTtlDays, req.get('user-agent') || null, req.ip || null]
+    );
+    const sessionId = result.rows[0].id;
+    return { ...issueTokens(user, sessionId, secret), sessionId };
+};
+
+/**
+ * Exchanges a refresh token for a new access token and a new refresh token.
+ * @param {string} refreshToken - '<session id>.<secret>' as returned by login or a previous refresh.
+ * @returns {Promise<object>} { status, session, user, tokens } where status is
+ *   'ok', 'invalid' (unknown token), 'expired' (revoked, timed out or user deactivated) or 'reused' (session now revoked).
+ */
+exports.rotateSession = async (refreshToken) => {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!UUID_PATTERN.test(sessionId || '') || !secret) {
+        return { status: 'invalid' };
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN'); // Start transaction
+
+        const result = await client.query(
+            `SELECT s.id, s.user_id, s.refresh_token_hash, s.previous_token_hash, s.revoked_at, s.expires_at <= NOW() AS expired,
+                    u.email, u.display_name, u.user_role, u.is_active
+             FROM sessions s JOIN users u ON u.id = s.user_id
+             WHERE s.id = $1 FOR UPDATE OF s`,
+            [sessionId]
+        );
+        const session = result.rows[0];
+        const hash = hashSecret(secret);
+
+        if (!session) {
+            await client.query('ROLLBACK');
+            return { status: 'invalid' };
+        }
+        const user = { id: session.user_id, email: session.email, display_name: session.display_name, user_role: session.user_role };
+
+        if (session.revoked_at || session.expired || !session.is_active) {
+            await client.query('ROLLBACK');
+            return { status: 'expired', session, user };
+        }
+
+        if (hash !== session.refresh_token_hash) {
+            if (hash === session.previous_token_hash) {
+                await client.query(
+                    "UPDATE sessions SET revoked_at = NOW(), revoked_reason = 'refresh_token_reused' WHERE id = $1",
+                    [session.id]
+                );
+                await client.query('COMMIT');
+                return { status: 'reused', session, user };
+            }
+            await client.query('ROLLBACK');
+            return { status: 'invalid' };
+        }
+
+        // Rotate, and slide the expiry: a session only times out when it stops being used
+        const nextSecret = newSecret();
+        await client.query(
+            `UPDATE sessions SET refresh_token_hash = $1, previous_token_hash = $2, last_used_at = NOW(),
+                    expires_at = NOW() + $3 * INTERVAL '1 day'
+             WHERE id = $4`,
+            [hashSecret(nextSecret), hash, settings.auth.refreshTokenTtlDays, session.id]
+        );
+
+        await client.query('COMMIT'); // Commit transaction
+        return { status: 'ok', session, user, tokens: issueTokens(user, session.id, nextSecret) };
+
+    } catch (error) {
+        await client.query('ROLLBACK'); // Rollback on error
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Loads a live session with the current state of its user (used by `authenticate`).
+ * @param {string} sessionId
+ * @returns {Promise<object|null>} The session joined with its user, or null if it is revoked or
+ *   expired, or the user was deactivated.
+ */
+exports.findActiveSession = async (sessionId) => {
+    if (!UUID_PATTERN.test(sessionId || '')) return null;
+    const result = await pool.query(
+        `SELECT s.id, s.user_id, u.email, u.display_name, u.user_role
+         FROM sessions s JOIN users u ON u.id = s.user_id
+         WHERE s.id = $1 AND s.revoked_at IS NULL AND s.expires_at > NOW() AND u.is_active`,
+        [sessionId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Revokes one session.
+ * @param {string} sessionId
+ * @param {string} reason - e.g. 'logout'.
+ * @param {object} [db=pool]
+ * @returns {Promise<boolean>} false if it was already revoked.
+ */
+exports.revokeSession = async (sessionId, reason, db = pool) => {
+    const result = await db.query(
+        'UPDATE sessions SET revoked_at = NOW(), revoked_reason = $2 WHERE id = $1 AND revoked_at IS NULL',
+        [sessionId, reason]
+    );
+    return result.rowCount > 0;
+};
+
+/**
+ * Revokes every live session of a user.
+ * @param {number} userId
+ * @param {string} reason - e.g. 'revoked_by_admin'.
+ * @param {object} [db=pool]
+ * @returns {Promise<number>} How many sessions were revoked.
+ */
+exports.revokeUserSessions = async (userId, reason, db = pool) => {
+    const result = await db.query(
+        'UPDATE sessions SET revoked_at = NOW(), revoked_reason = $2 WHERE user_id = $1 AND revoked_at IS NULL',
+        [userId, reason]
+    );
+    return result.rowCount;
+};
+
+/**
+ * Revokes every live session of a user except one (e.g. the one that changed the password).
+ * @param {number} userId
+ * @param {string} keepSessionId - Session left untouched.
+ * @param {string} reason
+ * @param {object} [db=pool]
+ * @returns {Promise<number>} How many sessions were revoked.
+ */
+exports.revokeOtherSessions = async (userId, keepSessionId, reason, db = pool) => {
+    const result = await db.query(
+        'UPDATE sessions SET revoked_at = NOW(), revoked_reason = $3 WHERE user_id = $1 AND id <> $2 AND revoked_at IS NULL',
+        [userId, keepSessionId, reason]
+    );
+    return result.rowCount;
+};
+
+/**
+ * Lists the sessions of a user, newest first (refresh token hashes are never returned).
+ * @param {number} userId
+ * @returns {Promise<object[]>}
+ */
+exports.listUserSessions = async (userId) => {
+    const result = await pool.query(
+        `SELECT id, created_at, last_used_at, expires_at, revoked_at, revoked_reason, user_agent, ip_address
+         FROM sessions WHERE user_id = $1 ORDER BY created_at DESC`,
+        [userId]
+    );
+    return result.rows;
+};
+
+/**
+ * Deletes sessions that expired or were revoked more than `retentionDays` ago.
+ * @param {number} retentionDays
+ * @returns {Promise<number>} How many rows were deleted.
+ */
+exports.deleteStaleSessions = async (retentionDays) => {
+    const result = await pool.query(
+        `DELETE FROM sessions
+         WHERE COALESCE(revoked_at, expires_at) < NOW() - $1 * INTERVAL '1 day'`,
+        [retentionDays]
+    );
+    return result.rowCount;
+};
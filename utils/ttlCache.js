@@ -0,0 +1,42 @@
+// /server/utils/ttlCache.js
+
+/**
+ * Small in-memory cache (per instance) whose entries expire after a fixed time.
+ * Concurrent misses on the same key share one load, so a dashboard opened by many people at
+ * once runs each query once. Failed loads are not cached.
+ * @param {object} options
+ * @param {number} options.ttlSeconds - Entry lifetime; 0 disables caching.
+ * @param {number} [options.maxEntries=500] - Expired entries are dropped once the cache grows past this.
+ * @returns {object} { get(key, load), clear() }
+ */
+exports.createCache = ({ ttlSeconds, maxEntries = 500 }) => {
+    const entries = new Map(); // key -> { promise, expiresAt }
+
+    /**
+     * @param {string} key
+     * @param {Function} load - Returns a promise of the value.
+     * @returns {Promise<object>} { value, cachedAt }
+     */
+    const get = (key, load) => {
+        const now = Date.now();
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt > now) return entry.promise;
+
+        if (entries.size >= maxEntries) {
+            entries.forEach((cached, cachedKey) => cached.expiresAt <= now && entries.delete(cachedKey));
+            // Still full of live entries: the oldest one goes
+            if (entries.size >= maxEntries) entries.delete(entries.keys().next().value);
+        }
+
+        const promise = Promise.resolve()
+            .then(load)
+            .then(value => ({ value, cachedAt: new Date(now).toISOString() }));
+        if (ttlSeconds <= 0) return promise;
+
+        entries.set(key, { promise, expiresAt: now + ttlSeconds * 1000 });
+        promise.catch(() => entries.get(key) && entries.get(key).promise === promise && entries.delete(key));
+        return promise;
+    };
+
+    return { get, clear: () => entries.clear() };
+};
@@ -0,0 +1,106 @@
+// /server/utils/validate.js
+// Validates and coerces request payloads against config/schemas.js.
+// Multipart bodies arrive as strings, so numbers, booleans and dates are parsed here.
+
+const schemas = require('../config/schemas');
+
+const isEmpty = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Validates one value against its field definition.
+ * @returns {{ value: *, errors: string[] }} The coerced value and any error messages.
+ */
+const validateField = (value, field) => {
+    const errors = [];
+    let coerced = value;
+
+    switch (field.type) {
+        case 'number':
+        case 'integer': {
+            coerced = typeof value === 'number' ? value : Number(String(value).trim().replace(',', '.'));
+            if (!Number.isFinite(coerced)) {
+                errors.push('must be a number');
+            } else if (field.type === 'integer' && !Number.isInteger(coerced)) {
+                errors.push('must be a whole number');
+            }
+            break;
+        }
+        case 'boolean': {
+            const raw = String(value).toLowerCase();
+            if (['true', '1', 'yes'].includes(raw)) coerced = true;
+            else if (['false', '0', 'no'].includes(raw)) coerced = false;
+            else errors.push('must be true or false');
+            break;
+        }
+        case 'date': {
+            if (Number.isNaN(Date.parse(value))) errors.push('must be a valid date');
+            break;
+        }
+        default: {
+            if (typeof value === 'object') {
+                errors.push('must be text');
+            } else {
+                coerced = String(value);
+            }
+        }
+    }
+
+    if (errors.length > 0) return { value: coerced, errors };
+
+    if (field.maxLength !== undefined && String(coerced).length > field.maxLength) {
+        errors.push(`must be at most ${field.maxLength} characters`);
+    }
+    if (field.min !== undefined && coerced < field.min) {
+        errors.push(`must be at least ${field.min}`);
+    }
+    if (field.max !== undefined && coerced > field.max) {
+        errors.push(`must be at most ${field.max}`);
+    }
+    if (field.enum && !field.enum.includes(coerced)) {
+        errors.push(`must be one of: ${field.enum.join(', ')}`);
+    }
+
+    return { value: coerced, errors };
+};
+
+/**
+ * Validates a payload for a table.
+ * Keys that are not in the schema, and 'files' columns, are dropped from the result.
+ * @param {string} tableName - Table whose schema applies.
+ * @param {object} data - The request body.
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - Update mode: absent fields are not required.
+ * @returns {{ values: object, errors: object|null }} Coerced values, and errors keyed by field.
+ */
+exports.validatePayload = (tableName, data, { partial = false } = {}) => {
+    const schema = schemas[tableName];
+    const values = {};
+    const errors = {};
+
+    Object.keys(schema).forEach(name => {
+        const field = schema[name];
+        if (field.type === 'files') return;
+
+        const present = Object.prototype.hasOwnProperty.call(data, name);
+        if (partial && !present) return;
+
+        const value = data[name];
+        if (isEmpty(value)) {
+            if (field.required) {
+                errors[name] = ['is required'];
+            } else if (present) {
+                values[name] = null;
+            }
+            return;
+        }
+
+        const result = validateField(value, field);
+        if (result.errors.length > 0) {
+            errors[name] = result.errors;
+        } else {
+            values[name] = result.value;
+        }
+    });
+
+    return { values, errors: Object.keys(errors).length > 0 ? errors : null };
+};
@@ -0,0 +1,265 @@
+// /server/utils/webhooks.js
+// Webhook dispatcher: fans outbox events (utils/outbox.js) out to the matching subscriptions and
+// delivers them. Every request is a JSON POST of the event with these headers:
+//
+//   X-Webhook-Id         delivery id, the same on every retry (use it to drop duplicates)
+//   X-Webhook-Event      event type, e.g. 'products.updated'
+//   X-Webhook-Signature  't=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" keyed with the subscription secret>'
+//
+// Any 2xx answer counts as delivered. Other answers, timeouts and network errors are retried
+// with exponential backoff; after WEBHOOK_MAX_ATTEMPTS the delivery is dead-lettered and waits
+// for a replay through /api/webhooks. Delivery is at least once and not ordered: receivers
+// should use the event id (increasing) to order events.
+//
+// Subscribers only hear about published records: changes to a record still in review or sent
+// back to draft are not delivered (the live feed shows them to editors), and a record appears
+// with its 'published' event.
+
+const crypto = require('crypto');
+const pool = require('../config/db');
+const settings = require('../config/settings');
+
+// Subscriptions list exact types ('products.updated'), per-table wildcards ('products.*'), or nothing for every event
+const SUBSCRIPTION_MATCHES = `(cardinality(s.event_types) = 0
+    OR e.event_type = ANY(s.event_types)
+    OR split_part(e.event_type, '.', 1) || '.*' = ANY(s.event_types))`;
+
+// 'record' is the row after the change (before it, for deletions)
+const PUBLISHED_EVENT = `(e.event_type LIKE '%.published' OR e.payload->'record'->>'status' = 'published')`;
+
+/**
+ * Generates a subscription secret.
+ * @returns {string}
+ */
+exports.newSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+/**
+ * Computes the v1 signature of a request body.
+ * @param {string} secret - The subscription secret.
+ * @param {number} timestamp - Unix seconds, also sent as `t=`.
+ * @param {string} body - The raw JSON body.
+ * @returns {string} Hex digest.
+ */
+exports.sign = (secret, timestamp, body) =>
+    crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * The JSON body sent for an event.
+ * @param {object} event - An outbox_events row.
+ * @returns {string}
+ */
+const buildBody = (event) => JSON.stringify({
+    id: Number(event.id),
+    type: event.event_type,
+    occurred_at: event.created_at,
+    table: event.table_name,
+    record_id: event.record_id,
+    ...event.payload
+});
+
+/**
+ * POSTs one event to one URL. Never throws.
+ * @param {string} url
+ * @param {string} secret - Subscription secret used for the signature.
+ * @param {object} event - An outbox_events row (or an ad-hoc test event of the same shape).
+ * @param {string|number} deliveryId - Sent as X-Webhook-Id.
+ * @returns {Promise<object>} { ok, status_code, error, duration_ms }
+ */
+exports.send = async (url, secret, event, deliveryId) => {
+    const body = buildBody(event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'ProductDB-Webhooks/1.0',
+                'X-Webhook-Id': String(deliveryId),
+                'X-Webhook-Event': event.event_type,
+                'X-Webhook-Signature': `t=${timestamp},v1=${exports.sign(secret, timestamp, body)}`
+            },
+            body,
+            // A redirect is reported as a failure rather than followed with the signed body
+            redirect: 'manual',
+            signal: AbortSignal.timeout(settings.webhooks.timeoutSeconds * 1000)
+        });
+        const text = await response.text().catch(() => '');
+
+        return {
+            ok: response.ok,
+            status_code: response.status,
+            error: response.ok ? null : `HTTP ${response.status}${text ? `: ${text.slice(0, 500)}` : ''}`,
+            duration_ms: Date.now() - started
+        };
+    } catch (error) {
+        const message = error.name === 'TimeoutError'
+            ? `No answer within ${settings.webhooks.timeoutSeconds}s.`
+            : (error.cause && error.cause.message) || error.message;
+        return { ok: false, status_code: null, error: message, duration_ms: Date.now() - started };
+    }
+};
+
+/**
+ * Delay before the next attempt: the base doubled for every failed attempt, up to the maximum.
+ * @param {number} attempts - Attempts made so far (1 after the first failure).
+ * @returns {number} Seconds.
+ */
+const retryDelaySeconds = (attempts) => Math.min(
+    settings.webhooks.backoffBaseSeconds * 2 ** (attempts - 1),
+    settings.webhooks.backoffMaxSeconds
+);
+
+/**
+ * Creates a delivery for every active subscription matching each new event about a published
+ * record, then marks the events as dispatched (the others too). Subscriptions added later do not receive older events (replay them).
+ * @returns {Promise<number>} How many events were dispatched.
+ */
+const fanOutEvents = async () => {
+    const result = await pool.query(
+        `WITH events AS (
+            SELECT id, event_type, payload FROM outbox_events WHERE dispatched_at IS NULL ORDER BY id LIMIT 500 FOR UPDATE SKIP LOCKED
+         ), deliveries AS (
+            INSERT INTO webhook_deliveries (event_id, subscription_id)
+            SELECT e.id, s.id FROM events e JOIN webhook_subscriptions s ON s.is_active AND ${SUBSCRIPTION_MATCHES}
+            WHERE ${PUBLISHED_EVENT}
+            ON CONFLICT (event_id, subscription_id) DO NOTHING
+         )
+         UPDATE outbox_events SET dispatched_at = NOW() WHERE id IN (SELECT id FROM events)`
+    );
+    return result.rowCount;
+};
+
+/**
+ * Claims due deliveries of active subscriptions. Claiming counts the attempt and pushes
+ * next_attempt_at past the request timeout, so another instance does not pick them up meanwhile.
+ * @returns {Promise<object[]>} Deliveries joined with their event and subscription.
+ */
+const claimDueDeliveries = async () => {
+    const leaseSeconds = settings.webhooks.timeoutSeconds * 2 + 30;
+    const result = await pool.query(
+        `WITH claimed AS (
+            UPDATE webhook_deliveries SET attempts = attempts + 1, last_attempt_at = NOW(),
+                   next_attempt_at = NOW() + $2 * INTERVAL '1 second'
+            WHERE id IN (
+                SELECT d.id FROM webhook_deliveries d
+                JOIN webhook_subscriptions s ON s.id = d.subscription_id AND s.is_active
+                WHERE d.status = 'pending' AND d.next_attempt_at <= NOW()
+                ORDER BY d.next_attempt_at, d.id
+                LIMIT $1
+                FOR UPDATE OF d SKIP LOCKED
+            )
+            RETURNING id, event_id, subscription_id, attempts
+         )
+         SELECT c.id, c.attempts, c.subscription_id, s.url, s.secret,
+                e.id AS event_id, e.event_type, e.table_name, e.record_id, e.payload, e.created_at
+         FROM claimed c
+         JOIN webhook_subscriptions s ON s.id = c.subscription_id
+         JOIN outbox_events e ON e.id = c.event_id`,
+        [settings.webhooks.batchSize, leaseSeconds]
+    );
+    return result.rows;
+};
+
+const deliver = async (delivery) => {
+    const event = { ...delivery, id: delivery.event_id };
+    const outcome = await exports.send(delivery.url, delivery.secret, event, delivery.id);
+
+    if (outcome.ok) {
+        await pool.query(
+            `UPDATE webhook_deliveries SET status = 'delivered', delivered_at = NOW(), last_status_code = $2, last_error = NULL
+             WHERE id = $1`,
+            [delivery.id, outcome.status_code]
+        );
+        return;
+    }
+
+    const dead = delivery.attempts >= settings.webhooks.maxAttempts;
+    await pool.query(
+        `UPDATE webhook_deliveries SET status = $2, last_status_code = $3, last_error = $4,
+                next_attempt_at = NOW() + $5 * INTERVAL '1 second'
+         WHERE id = $1`,
+        [delivery.id, dead ? 'dead' : 'pending', outcome.status_code, outcome.error, retryDelaySeconds(delivery.attempts)]
+    );
+
+    if (dead) {
+        console.warn(`[WEBHOOKS] Delivery ${delivery.id} of event ${delivery.event_id} to ${delivery.url} dead-lettered after ${delivery.attempts} attempts: ${outcome.error}`);
+    }
+};
+
+let running = false;
+
+/**
+ * One dispatcher run: fan out new events, then attempt every due delivery.
+ * Runs do not overlap on an instance; instances share the work through SKIP LOCKED.
+ * Used by the dispatcher job in index.js.
+ * @returns {Promise<object|null>} { events, deliveries } processed, or null if a run was already in progress.
+ */
+exports.dispatchPending = async () => {
+    if (running) return null;
+    running = true;
+    try {
+        const events = await fanOutEvents();
+        const deliveries = await claimDueDeliveries();
+        await Promise.all(deliveries.map(deliver));
+        return { events, deliveries: deliveries.length };
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Queues events about published records again, for every matching active subscription or for one subscription.
+ * Existing deliveries (delivered or dead) are reset to pending with a fresh attempt count.
+ * @param {object} filters
+ * @param {number[]} [filters.eventIds]
+ * @param {number} [filters.fromId] - Events with an id >= fromId.
+ * @param {string} [filters.since] - Events created at or after this date.
+ * @param {string} [filters.tableName]
+ * @param {number} [filters.recordId]
+ * @param {number} [filters.subscriptionId] - Only this subscription (it must match the events).
+ * @returns {Promise<number>} How many deliveries were queued.
+ */
+exports.replayEvents = async ({ eventIds, fromId, since, tableName, recordId, subscriptionId }) => {
+    const conditions = [];
+    const params = [];
+    const add = (condition, value) => {
+        params.push(value);
+        conditions.push(condition.replace('?', `$${params.length}`));
+    };
+
+    if (eventIds) add('e.id = ANY(?)', eventIds);
+    if (fromId !== undefined) add('e.id >= ?', fromId);
+    if (since !== undefined) add('e.created_at >= ?', since);
+    if (tableName !== undefined) add('e.table_name = ?', tableName);
+    if (recordId !== undefined) add('e.record_id = ?', recordId);
+    if (subscriptionId !== undefined) add('s.id = ?', subscriptionId);
+
+    const result = await pool.query(
+        `INSERT INTO webhook_deliveries (event_id, subscription_id)
+         SELECT e.id, s.id FROM outbox_events e
+         JOIN webhook_subscriptions s ON s.is_active AND ${SUBSCRIPTION_MATCHES}
+         WHERE ${[PUBLISHED_EVENT, ...conditions].join(' AND ')}
+         ON CONFLICT (event_id, subscription_id) DO UPDATE SET status = 'pending', attempts = 0,
+             next_attempt_at = NOW(), last_error = NULL, last_status_code = NULL, delivered_at = NULL`,
+        params
+    );
+    return result.rowCount;
+};
+
+/**
+ * Deletes events older than the retention period once every delivery of theirs succeeded
+ * (dead-lettered events are kept until they are replayed or their subscription is deleted).
+ * @param {number} retentionDays
+ * @returns {Promise<number>} How many events were deleted.
+ */
+exports.deleteOldEvents = async (retentionDays) => {
+    const result = await pool.query(
+        `DELETE FROM outbox_events e
+         WHERE e.dispatched_at IS NOT NULL AND e.created_at < NOW() - $1 * INTERVAL '1 day'
+           AND NOT EXISTS (SELECT 1 FROM webhook_deliveries d WHERE d.event_id = e.id AND d.status <> 'delivered')`,
+        [retentionDays]
+    );
+    return result.rowCount;
+};
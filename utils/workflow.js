@@ -0,0 +1,158 @@
+// /server/utils/workflow.js
+// Draft / review / published workflow for products and product lines.
+//
+// A new record starts 'in_review' and only goes live ('published') once a reviewer approves it;
+// a rejected one goes back to 'draft' and is submitted again by its next edit. Edits to a
+// published record leave it untouched: they are kept as its pending draft in record_drafts
+// (later edits are merged in) and applied when a reviewer approves them. Readers without
+// update or review rights only ever see published records, hence only reviewed values.
+// Files are not kept in drafts, so on a published record only reviewers may change them (their
+// uploads and attachment changes go live at once); editors get a 403.
+
+const { can } = require('../config/roles');
+const settings = require('../config/settings');
+
+exports.DRAFT_COLUMNS = 'id, table_name, record_id, changes, status, created_by, created_at, updated_by, updated_at, reviewed_by, reviewed_at, review_comment';
+
+/**
+ * Whether a user may see records that are not published (editors and reviewers).
+ * @param {object} user - req.user.
+ * @param {string} tableName
+ * @returns {boolean}
+ */
+exports.canSeeUnpublished = (user, tableName) =>
+    can(user.userRole, 'update', tableName) || can(user.userRole, 'review', tableName);
+
+/**
+ * Whether a user may see this record: published, or the user may see unpublished records.
+ * @param {object} user - req.user.
+ * @param {string} tableName
+ * @param {object} record - A products or product_lines row.
+ * @returns {boolean}
+ */
+exports.isVisible = (user, tableName, record) =>
+    record.status === 'published' || exports.canSeeUnpublished(user, tableName);
+
+/**
+ * Extra list conditions that hide unpublished records from readers.
+ * @param {object} user - req.user.
+ * @param {string} tableName
+ * @returns {string[]}
+ */
+exports.visibilityConditions = (user, tableName) =>
+    exports.canSeeUnpublished(user, tableName) ? [] : ["status = 'published'"];
+
+/**
+ * Status of a record when it is created.
+ * @returns {string} 'in_review', or 'published' when the workflow is turned off.
+ */
+exports.initialStatus = () => (settings.workflow.enabled ? 'in_review' : 'published');
+
+/**
+ * Whether an edit to this record has to wait for review.
+ * @param {object} record - A products or product_lines row.
+ * @returns {boolean}
+ */
+exports.requiresReview = (record) => settings.workflow.enabled && record.status === 'published';
+
+exports.FILES_NEED_REVIEWER = 'Files of a published record can only be changed by a reviewer.';
+
+/**
+ * Whether a user may change the files of this record (answer 403 with FILES_NEED_REVIEWER otherwise).
+ * @param {object} user - req.user.
+ * @param {string} tableName
+ * @param {object} record - The live row.
+ * @returns {boolean}
+ */
+exports.canChangeFiles = (user, tableName, record) =>
+    !exports.requiresReview(record) || can(user.userRole, 'review', tableName);
+
+/**
+ * Whether a reviewer is acting on their own change (refused unless REVIEW_ALLOW_SELF_APPROVAL).
+ * @param {object} user - req.user.
+ * @param {object} change - A record or draft row (created_by / updated_by).
+ * @returns {boolean}
+ */
+exports.isOwnChange = (user, change) =>
+    !settings.workflow.allowSelfApproval && [change.created_by, change.updated_by].includes(user.id);
+
+// pg returns NUMERIC columns as strings while payloads carry numbers
+const sameValue = (live, proposed) => {
+    if (typeof proposed === 'number' && live !== null && live !== undefined) {
+        return Number(live) === proposed;
+    }
+    return JSON.stringify(live === undefined ? null : live) === JSON.stringify(proposed === undefined ? null : proposed);
+};
+
+/**
+ * Compares proposed values with the live record.
+ * Kept under `proposed` (not `changes`) in audit entries, so that revert does not mistake a draft
+ * that never went live for an update.
+ * @param {object} record - The live row.
+ * @param {object} changes - Proposed column values.
+ * @returns {object} { column: { before, after } } for the values that differ.
+ */
+exports.proposedChanges = (record, changes) => Object.keys(changes).reduce((diff, column) => {
+    if (!sameValue(record[column], changes[column])) {
+        diff[column] = { before: record[column] === undefined ? null : record[column], after: changes[column] };
+    }
+    return diff;
+}, {});
+
+/**
+ * Loads the pending draft of a record.
+ * @param {object} db - Pool or transaction client.
+ * @param {string} tableName
+ * @param {number|string} recordId
+ * @param {boolean} [forUpdate=false] - Lock the draft row.
+ * @returns {Promise<object|null>}
+ */
+exports.findPendingDraft = async (db, tableName, recordId, forUpdate = false) => {
+    const result = await db.query(
+        `SELECT ${exports.DRAFT_COLUMNS} FROM record_drafts
+         WHERE table_name = $1 AND record_id = $2 AND status = 'pending' ${forUpdate ? 'FOR UPDATE' : ''}`,
+        [tableName, recordId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Saves edits to a published record as its pending draft, merged into any existing one.
+ * Values that end up equal to the live record are dropped; if none are left, the draft is discarded.
+ * @param {object} client - Transaction client (the record must already be locked).
+ * @param {string} tableName
+ * @param {object} record - The live row.
+ * @param {object} changes - Validated column values from the edit.
+ * @param {object} user - req.user.
+ * @returns {Promise<object>} { draft, proposed } where draft is null if nothing is pending any more.
+ */
+exports.saveDraft = async (client, tableName, record, changes, user) => {
+    const existing = await exports.findPendingDraft(client, tableName, record.id, true);
+    const proposed = exports.proposedChanges(record, { ...(existing ? existing.changes : {}), ...changes });
+
+    const values = {};
+    Object.keys(proposed).forEach(column => { values[column] = proposed[column].after; });
+
+    if (Object.keys(values).length === 0) {
+        if (existing) {
+            await client.query(
+                "UPDATE record_drafts SET status = 'discarded', updated_by = $1, updated_at = NOW() WHERE id = $2",
+                [user.id, existing.id]
+            );
+        }
+        return { draft: null, proposed };
+    }
+
+    const result = existing
+        ? await client.query(
+            `UPDATE record_drafts SET changes = $1, updated_by = $2, updated_at = NOW() WHERE id = $3 RETURNING ${exports.DRAFT_COLUMNS}`,
+            [values, user.id, existing.id]
+        )
+        : await client.query(
+            `INSERT INTO record_drafts (table_name, record_id, changes, created_by, updated_by)
+             VALUES ($1, $2, $3, $4, $4) RETURNING ${exports.DRAFT_COLUMNS}`,
+            [tableName, record.id, values, user.id]
+        );
+
+    return { draft: result.rows[0], proposed };
+};